@@ -0,0 +1,214 @@
+import CryptoJS from 'crypto-js'
+import ecurve from 'ecurve'
+import {
+  createVerificationScript,
+  getHash,
+  getPublicKey,
+  getPublicKeyEncoded,
+  getWIFFromPrivateKey,
+  toAddress,
+  verifyPublicKeyEncoded
+} from './wallet'
+import { encryptWIF, decryptWIF } from './nep2'
+import { InvalidWIFError, ChecksumError, InvalidKeyError } from './errors'
+import { ab2hexstring, hexstring2ab, reverseHex } from './utils'
+
+const BASE58 = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz'
+const base58 = require('base-x')(BASE58)
+
+const NEP2_REGEX = /^6P[1-9A-HJ-NP-Za-km-z]{56}$/
+const PRIVATE_KEY_REGEX = /^[0-9a-f]{64}$/i
+const PUBLIC_KEY_REGEX = /^(0[23][0-9a-f]{64}|04[0-9a-f]{128})$/i
+const ADDRESS_REGEX = /^A[1-9A-HJ-NP-Za-km-z]{33}$/
+const ADDRESS_VERSION = 0x17
+
+const checksum = (hex) => {
+  const hash = CryptoJS.SHA256(CryptoJS.SHA256(CryptoJS.enc.Hex.parse(hex))).toString()
+  return hash.substr(0, 8)
+}
+
+const decodeBase58 = (str, ErrorType) => {
+  try {
+    return ab2hexstring(base58.decode(str))
+  } catch (err) {
+    throw new ErrorType(`Invalid base58 string: ${str}`)
+  }
+}
+
+/**
+ * Decodes a WIF key into a private key.
+ * @param {string} wif - The WIF key
+ * @return {string} The private key, hex encoded
+ */
+export const decodeWIF = (wif) => {
+  const hex = decodeBase58(wif, InvalidWIFError)
+  if (hex.length !== 76 || hex.substr(0, 2) !== '80' || hex.substr(66, 2) !== '01') {
+    throw new InvalidWIFError(`Invalid WIF key: ${wif}`)
+  }
+  if (checksum(hex.substr(0, 68)) !== hex.substr(68)) {
+    throw new ChecksumError(`WIF checksum mismatch: ${wif}`)
+  }
+  return hex.substr(2, 64)
+}
+
+/**
+ * Decodes an address into its program hash.
+ * @param {string} address - The address
+ * @return {string} The program hash (LE)
+ */
+const decodeAddress = (address) => {
+  const hex = decodeBase58(address, InvalidKeyError)
+  if (hex.length !== 50 || parseInt(hex.substr(0, 2), 16) !== ADDRESS_VERSION) {
+    throw new InvalidKeyError(`Invalid address: ${address}`)
+  }
+  if (checksum(hex.substr(0, 42)) !== hex.substr(42)) {
+    throw new ChecksumError(`Address checksum mismatch: ${address}`)
+  }
+  return hex.substr(2, 40)
+}
+
+/**
+ * Validates and encodes a public key.
+ * @param {string} publicKey - The public key, encoded or unencoded
+ * @return {string} The encoded public key
+ */
+const encodePublicKey = (publicKey) => {
+  const encoded = publicKey.length === 130 ? getPublicKeyEncoded(publicKey) : publicKey
+  const curve = ecurve.getCurveByName('secp256r1')
+  let valid
+  try {
+    valid = verifyPublicKeyEncoded(encoded) && curve.isOnCurve(ecurve.Point.decodeFrom(curve, Buffer.from(encoded, 'hex')))
+  } catch (err) {
+    valid = false
+  }
+  if (!valid) throw new InvalidKeyError(`Invalid public key: ${publicKey}`)
+  return encoded.toLowerCase()
+}
+
+/**
+ * An account, created from any of its keys. Fields that can be derived from the given key
+ * are computed on first access and cached, fields that cannot be derived throw.
+ * Addresses are derived with the account kind and wallet contract revision of the config.
+ */
+export default class Account {
+  /**
+   * @param {string} key - A WIF key, private key, public key (encoded or not), address or NEP-2 encrypted key
+   * @param {ChainLineConfig} [config] - The account kind and contract revisions to use, defaults to a Chain Line wallet
+   */
+  constructor (key, config) {
+    if (typeof key !== 'string') throw new TypeError('Expected the key as a string')
+    this.config = config
+    this._derived = {}
+    if (NEP2_REGEX.test(key)) {
+      this._derived.encrypted = key
+    } else if (PRIVATE_KEY_REGEX.test(key)) {
+      this._derived.privateKey = key.toLowerCase()
+    } else if (PUBLIC_KEY_REGEX.test(key)) {
+      this._derived.publicKey = encodePublicKey(key)
+    } else if (ADDRESS_REGEX.test(key)) {
+      this._derived.programHash = decodeAddress(key)
+      this._derived.address = key
+    } else {
+      this._derived.privateKey = decodeWIF(key)
+      this._derived.WIF = key
+    }
+  }
+
+  /**
+   * Creates an account from a NEP-2 encrypted key.
+   * @param {string} encrypted - The NEP-2 encrypted key
+   * @param {string} passphrase - The password
+   * @param {ChainLineConfig} [config] - The account kind and contract revisions to use
+   * @param {ScryptParams} [scryptParams] - The scrypt parameters, defaults to DEFAULT_SCRYPT
+   * @return {Promise<Account>} The decrypted account
+   */
+  static fromEncrypted (encrypted, passphrase, config, scryptParams) {
+    return new Account(encrypted, config).decrypt(passphrase, scryptParams)
+  }
+
+  _derive (field, derive) {
+    if (this._derived[field] === undefined) this._derived[field] = derive()
+    return this._derived[field]
+  }
+
+  /** @type {string} The private key, hex encoded */
+  get privateKey () {
+    return this._derive('privateKey', () => {
+      if (this._derived.encrypted) throw new Error('The account is encrypted, decrypt it first')
+      throw new Error('The account has no private key')
+    })
+  }
+
+  /** @type {string} The WIF key */
+  get WIF () {
+    return this._derive('WIF', () => getWIFFromPrivateKey(hexstring2ab(this.privateKey)))
+  }
+
+  /** @type {string} The public key in encoded form */
+  get publicKey () {
+    return this._derive('publicKey', () => {
+      if (this._derived.privateKey === undefined && this._derived.programHash !== undefined) {
+        throw new Error('The public key of an address is unknown')
+      }
+      return ab2hexstring(getPublicKey(this.privateKey, true))
+    })
+  }
+
+  /** @type {string} Hash of the public key */
+  get publicKeyHash () {
+    return this._derive('publicKeyHash', () => getHash(this.publicKey))
+  }
+
+  /** @type {string} The verification script of the account */
+  get verificationScript () {
+    return this._derive('verificationScript', () => createVerificationScript(this.publicKey, this.config))
+  }
+
+  /** @type {string} Program hash (LE) of the verification script */
+  get programHash () {
+    return this._derive('programHash', () => getHash(this.verificationScript))
+  }
+
+  /** @type {string} Script hash (BE) of the verification script */
+  get scriptHash () {
+    return this._derive('scriptHash', () => reverseHex(this.programHash))
+  }
+
+  /** @type {string} The address */
+  get address () {
+    return this._derive('address', () => toAddress(hexstring2ab(this.programHash)))
+  }
+
+  /** @type {string|undefined} The NEP-2 encrypted key, if the account was created from one or has been encrypted */
+  get encrypted () {
+    return this._derived.encrypted
+  }
+
+  /**
+   * Encrypts the private key under NEP-2.
+   * @param {string} passphrase - The password
+   * @param {ScryptParams} [scryptParams] - The scrypt parameters, defaults to DEFAULT_SCRYPT
+   * @return {Promise<Account>} This account, with the encrypted field set
+   */
+  encrypt (passphrase, scryptParams) {
+    return encryptWIF(this.WIF, passphrase, scryptParams, undefined, this.config).then((encrypted) => {
+      this._derived.encrypted = encrypted
+      return this
+    })
+  }
+
+  /**
+   * Decrypts the NEP-2 encrypted key, making the private key and every field derived from it available.
+   * @param {string} passphrase - The password
+   * @param {ScryptParams} [scryptParams] - The scrypt parameters, defaults to DEFAULT_SCRYPT
+   * @return {Promise<Account>} This account
+   */
+  decrypt (passphrase, scryptParams) {
+    if (!this.encrypted) return Promise.reject(new Error('The account is not encrypted'))
+    return decryptWIF(this.encrypted, passphrase, scryptParams, undefined, this.config).then((wif) => {
+      this._derived.privateKey = decodeWIF(wif)
+      this._derived.WIF = wif
+      return this
+    })
+  }
+}
@@ -1,8 +1,11 @@
 import axios from 'axios'
 import { getAccountFromWIFKey, getScriptHashFromAddress } from './wallet'
 import * as tx from './transactions/index.js'
-import { getTxHash } from './transactions'
-import { hexstring2ab, ab2str } from './utils'
+import Account from './account'
+import { createUnsignedTransaction, signUnsignedTransaction, broadcastTransaction } from './offline'
+import { toSigner } from './signer'
+import { parseVMStack } from './sc/stack.js'
+import { delay } from './utils'
 
 import _ from 'lodash'
 
@@ -51,23 +54,36 @@ export const allAssetIds = [neoId, gasId]
 */
 
 /**
- * Perform a ClaimTransaction for all available GAS
+ * Prepares a ClaimTransaction for all available GAS, to be signed offline with signUnsignedTransaction
  * @param {string} net - 'MainNet' or 'TestNet'.
- * @param {string} fromWif - WIF key of address you are claiming from.
- * @return {Promise<Response>} RPC response from sending transaction
+ * @param {string} fromPublicKey - Public key (encoded form) of the address you are claiming from.
+ * @param {ChainLineConfig} [config] - The kind of account to claim for, defaults to a Chain Line wallet.
+ * @return {Promise<UnsignedTransaction>} The unsigned transaction with the metadata to review it
  */
-export const doClaimAllGas = (net, fromWif) => {
+export const prepareClaimAllGas = (net, fromPublicKey, config) => {
   const apiEndpoint = getAPIEndpoint(net)
-  const account = getAccountFromWIFKey(fromWif)
-  // TODO: when fully working replace this with mainnet/testnet switch
+  const account = new Account(fromPublicKey, config)
   return axios.get(apiEndpoint + '/v2/address/claims/' + account.address).then((response) => {
-    const unsignedTx = tx.create.claim(account.publicKeyEncoded, response.data)
-    const signedTx = tx.signTransaction(unsignedTx, account.privateKey)
-    const hexTx = tx.serializeTransaction(signedTx)
-    return queryRPC(net, 'sendrawtransaction', [hexTx], 2)
+    const unsignedTx = tx.create.claim(account.publicKey, response.data, {}, config)
+    return createUnsignedTransaction(net, unsignedTx, { address: account.address }, 'Claim all available GAS')
   })
 }
 
+/**
+ * Perform a ClaimTransaction for all available GAS
+ * @param {string} net - 'MainNet' or 'TestNet'.
+ * @param {string|Signer} fromWif - WIF key of address you are claiming from, or a signer for it.
+ * @param {ChainLineConfig} [config] - The kind of account to claim for, defaults to a Chain Line wallet.
+ * @return {Promise<Response>} RPC response from sending transaction with the transaction hash
+ */
+export const doClaimAllGas = (net, fromWif, config) => {
+  const signer = toSigner(fromWif)
+  return signer.getPublicKey()
+    .then((publicKey) => prepareClaimAllGas(net, publicKey, config))
+    .then((unsigned) => signUnsignedTransaction(unsigned, signer, config))
+    .then((signedTx) => broadcastTransaction(net, signedTx))
+}
+
 /**
  * Sends an invokescript RPC request and returns a parsed result.
  * @param {string} net - 'MainNet' or 'TestNet' or custom URL
@@ -89,23 +105,7 @@ export const doInvokeScript = (net, script, parse = true) => {
     })
 }
 
-/**
- * Parses the VM Stack and returns human readable strings
- * @param {{type:string, value: string}[]} stack - VM Output
- * @return {any[]} Array of results
- */
-export const parseVMStack = (stack) => {
-  return stack.map((item) => {
-    switch (item.type) {
-      case 'ByteArray':
-        return ab2str(hexstring2ab(item.value))
-      case 'Integer':
-        return parseInt(item.value, 10)
-      default:
-        throw Error(`Unknown type: ${item.type}`)
-    }
-  })
-}
+export { parseVMStack }
 
 /**
  * Lookup key in SC storage
@@ -118,50 +118,69 @@ export const getStorage = (net, scriptHash, key) => {
 }
 
 /**
- * Send an asset to an address
+ * Prepares sending an asset to an address, to be signed offline with signUnsignedTransaction
  * @param {string} net - 'MainNet' or 'TestNet'.
  * @param {string} toAddress - The destination address.
- * @param {string} fromWif - The WIF key of the originating address.
+ * @param {string} fromPublicKey - Public key (encoded form) of the originating address.
  * @param {{NEO: number, GAS: number}} amount - The amount of each asset (NEO and GAS) to send, leave empty for 0.
- * @return {Promise<Response>} RPC Response
+ * @param {ChainLineConfig} [config] - The kind of account sending the assets, defaults to a Chain Line wallet.
+ * @return {Promise<UnsignedTransaction>} The unsigned transaction with the metadata to review it
  */
-export const doSendAsset = (net, toAddress, fromWif, assetAmounts) => {
-  const account = getAccountFromWIFKey(fromWif)
+export const prepareSendAsset = (net, toAddress, fromPublicKey, assetAmounts, config) => {
+  const account = new Account(fromPublicKey, config)
   const toScriptHash = getScriptHashFromAddress(toAddress)
   return getBalance(net, account.address).then((balances) => {
     // TODO: maybe have transactions handle this construction?
     const intents = _.map(assetAmounts, (v, k) => {
       return { assetId: tx.ASSETS[k], value: v, scriptHash: toScriptHash }
     })
-    const unsignedTx = tx.create.contract(account.publicKeyEncoded, balances, intents)
-    const hexUnsignedTx = tx.serializeTransaction(unsignedTx, false)
-    const signedTx = tx.signTransaction(unsignedTx, account.privateKey, hexUnsignedTx)
-    const hexTx = tx.serializeTransaction(signedTx)
-    return queryRPC(net, 'sendrawtransaction', [hexTx], 4)
-      .then((result) => ({ ...result, hash: getTxHash(hexUnsignedTx) }))
+    const unsignedTx = tx.create.contract(account.publicKey, balances, intents, {}, config)
+    return createUnsignedTransaction(net, unsignedTx, balances, `Send assets to ${toAddress}`)
   })
 }
 
+/**
+ * Send an asset to an address
+ * @param {string} net - 'MainNet' or 'TestNet'.
+ * @param {string} toAddress - The destination address.
+ * @param {string|Signer} fromWif - The WIF key of the originating address, or a signer for it.
+ * @param {{NEO: number, GAS: number}} amount - The amount of each asset (NEO and GAS) to send, leave empty for 0.
+ * @param {ChainLineConfig} [config] - The kind of account sending the assets, defaults to a Chain Line wallet.
+ * @return {Promise<Response>} RPC Response
+ */
+export const doSendAsset = (net, toAddress, fromWif, assetAmounts, config) => {
+  const signer = toSigner(fromWif)
+  return signer.getPublicKey()
+    .then((publicKey) => prepareSendAsset(net, toAddress, publicKey, assetAmounts, config))
+    .then((unsigned) => signUnsignedTransaction(unsigned, signer, config))
+    .then((signedTx) => broadcastTransaction(net, signedTx))
+}
+
 /**
  * Call mintTokens for RPX
  * @param {string} net - 'MainNet' or 'TestNet'.
- * @param {string} fromWif - The WIF key of the originating address.
+ * @param {string|Signer} fromWif - The WIF key of the originating address, or a signer for it.
  * @param {neo} amount - The amount of neo to send to RPX.
  * @param {gasCost} amount - The Gas to send as SC fee.
  * @return {Promise<Response>} RPC Response
  */
 export const doMintTokens = (net, scriptHash, fromWif, neo, gasCost) => {
-  const account = getAccountFromWIFKey(fromWif)
-  return getBalance(net, account.address).then((balances) => {
-    // TODO: maybe have transactions handle this construction?
-    const intents = [
-      { assetId: tx.ASSETS['NEO'], value: neo, scriptHash: scriptHash }
-    ]
-    const invoke = { operation: 'mintTokens', scriptHash: scriptHash }
-    const unsignedTx = tx.create.invocation(account.publicKeyEncoded, balances, intents, invoke, gasCost, { version: 1 })
-    const signedTx = tx.signTransaction(unsignedTx, account.privateKey)
+  const signer = toSigner(fromWif)
+  return signer.getPublicKey().then((publicKey) => {
+    const account = new Account(publicKey)
+    return getBalance(net, account.address).then((balances) => {
+      // TODO: maybe have transactions handle this construction?
+      const intents = [
+        { assetId: tx.ASSETS['NEO'], value: neo, scriptHash: scriptHash }
+      ]
+      const invoke = { operation: 'mintTokens', scriptHash: scriptHash }
+      const unsignedTx = tx.create.invocation(account.publicKey, balances, intents, invoke, gasCost, { version: 1 })
+      return tx.signTransactionWith(unsignedTx, signer)
+    })
+  }).then((signedTx) => {
     const hexTx = tx.serializeTransaction(signedTx)
     return queryRPC(net, 'sendrawtransaction', [hexTx], 4)
+      .then((result) => Object.assign({}, result, { hash: tx.getTransactionHash(signedTx) }))
   })
 }
 
@@ -175,17 +194,23 @@ export const doTestNotify = (net, scriptHash, wif, gasCost = 0, balances) => {
   const signedTx = tx.signTransaction(unsignedTx, account.privateKey)
   const hexTx = tx.serializeTransaction(signedTx)
   return queryRPC(net, 'sendrawtransaction', [hexTx], 4)
+    .then((result) => Object.assign({}, result, { hash: tx.getTransactionHash(signedTx) }))
 }
 
 /**
- * Sends a Transaction.
+ * Sends a Transaction. Hex is parsed and hashed before it is broadcast, so malformed hex rejects without reaching the node.
  * @param {string} net - 'MainNet' or 'TestNet'
  * @param {string|Object} transaction - Serialized hexstring or Transaction Object.
- * @param {Promise<Response>}
+ * @return {Promise<Response>} RPC Response with the transaction hash
  */
 export const doSendTx = (net, transaction, id = 42) => {
-  let txString = typeof (transaction) === 'object' ? tx.serializeTransaction(transaction) : transaction
-  return queryRPC(net, 'sendrawtransaction', [txString], id)
+  return Promise.resolve().then(() => {
+    const txObj = typeof (transaction) === 'object' ? transaction : tx.deserializeTransaction(transaction)
+    const txString = typeof (transaction) === 'object' ? tx.serializeTransaction(transaction) : transaction
+    const hash = tx.getTransactionHash(txObj)
+    return queryRPC(net, 'sendrawtransaction', [txString], id)
+      .then((result) => result.error ? result : Object.assign({}, result, { hash }))
+  })
 }
 
 /**
@@ -321,6 +346,41 @@ export const queryRPC = (net, method, params, id = 1) => {
   })
 }
 
+/**
+ * Waits for a transaction to be included in a block by polling node RPC.
+ * Failed requests are retried like unknown transactions, so only the timeout or a missing block rejects.
+ * @param {string} net - 'MainNet' or 'TestNet' or custom URL
+ * @param {string} txid - The transaction hash, as returned by the broadcasting functions
+ * @param {{timeout: number, pollInterval: number, confirmations: number}} options - timeout and pollInterval are in milliseconds
+ * @return {Promise<{txid: string, blockIndex: number, confirmations: number}>} The block the transaction was included in
+ */
+export const waitForTransaction = async (net, txid, { timeout = 120000, pollInterval = 5000, confirmations = 1 } = {}) => {
+  const deadline = Date.now() + timeout
+  while (true) {
+    let res, block, requestError
+    try {
+      res = await queryRPC(net, 'getrawtransaction', [txid, 1])
+      if (res.result && res.result.confirmations >= confirmations) {
+        block = await queryRPC(net, 'getblock', [res.result.blockhash, 1])
+      }
+    } catch (err) {
+      requestError = err
+    }
+    if (block) {
+      if (!block.result) throw new Error(`Block ${res.result.blockhash} of transaction ${txid} not found`)
+      return {
+        txid,
+        blockIndex: block.result.index,
+        confirmations: res.result.confirmations
+      }
+    }
+    if (Date.now() + pollInterval > deadline) {
+      throw new Error(`Timed out waiting for transaction ${txid}` + (requestError ? `: ${requestError.message}` : ''))
+    }
+    await delay(pollInterval)
+  }
+}
+
 export const testInvokeRPC = (script) => {
   const jsonRequest = axios.create({ headers: { 'Content-Type': 'application/json' } })
   const jsonRpcData = { method: 'invokescript', params: [script], id: 1, jsonrpc: '2.0' }
@@ -1,9 +1,13 @@
 import CryptoJS from 'crypto-js'
-import ScriptBuilder, { buildScript } from './sc/scriptBuilder.js'
-import { getAccountFromWIFKey } from './wallet'
-import { getBalance, queryRPC, doInvokeScript, parseVMStack } from './api'
-import { fixed82num, int2hex, hex2int, hexstring2a, reverseHex } from './utils'
+import { buildScript } from './sc/scriptBuilder.js'
+import { createContractInterface, encodeArgs } from './sc/abi.js'
+import Account from './account'
+import { getBalance, doInvokeScript } from './api'
+import { fixed8GasCeil, fixed82num, int2hex, hex2int, hexstring2a, reverseHex, num2hexstring, str2ab, ab2hexstring } from './utils'
 import * as tx from './transactions/index.js'
+import { createUnsignedTransaction, signUnsignedTransaction, broadcastTransaction } from './offline'
+import { isSigner, toSigner } from './signer'
+import { InvokeFaultError } from './errors'
 
 export const Constants = {
   // Nets
@@ -12,6 +16,7 @@ export const Constants = {
   // Fees
   FEE_DEMAND_REWARD_GAS: 4,
   FEE_TRAVEL_DEPOSIT_GAS: 2,
+  FREE_GAS_ALLOWANCE: 10,
   // Limits
   MAX_GAS_ITEM_VALUE: 5497,
   MIN_GAS_ITEM_VALUE: 0.5,
@@ -29,20 +34,19 @@ export const Constants = {
   // State suffixes
   DEMAND_SUFFIX: '01',
   TRAVEL_SUFFIX: '02',
+  // Account kinds
+  ACCOUNT_KIND_CHAIN_LINE: 'chainline',
+  ACCOUNT_KIND_STANDARD: 'standard',
   // commit bfd15012c48530780a413c05bb4e60acf0477e51 (hub-1.1)
   HUB_SCRIPT_HASH: 'a66454db81e69a951bbdf50d94b26d3a45b8581e'
 }
 
-/**
- * Generates the wallet script given a user's public key.
- * @param {string} publicKeyHex - The public key, hex encoded
- * @return {string} The wallet script, hex encoded
- */
-export const generateWalletScript = (publicKeyHex) => (
-  // commit 70b3156bbfdc863492d18c99bc3102cdd8e5c16e (wallet-1.0)
- `60c56b6a51527ac46a51c34c097369676e61747572656175754c
-  ${int2hex(publicKeyHex.length / 2)}
-  ${publicKeyHex}
+// commit 70b3156bbfdc863492d18c99bc3102cdd8e5c16e (wallet-1.0)
+// {publicKeyLength}, {publicKey} and {hubScriptHash} (little endian) are filled in by generateWalletScript
+export const WALLET_SCRIPT_TEMPLATE = `
+  60c56b6a51527ac46a51c34c097369676e61747572656175754c
+  {publicKeyLength}
+  {publicKey}
   6a52527ac44c20e72d286979ee6cb1b7e65dfddfb2e384100b8d148e7758de42e4168b71792c606a53
   527ac46a51c36a52c361617c6569026161f16161682953797374656d2e457865637574696f6e456e67
   696e652e476574536372697074436f6e7461696e65726a54527ac46161682d53797374656d2e457865
@@ -59,9 +63,86 @@ export const generateWalletScript = (publicKeyHex) => (
   7456616c7565946a5e527ac4616a59c351936a59527ac46268ff616a5ec300948d00a16361004c1377
   616c6c65745f7265717565737454784f757453c576006a55c3764c13657865637574696e6753637269
   707448617368617575c476516a52c3c476526a5ec361c461617c67
-  ${reverseHex(Constants.HUB_SCRIPT_HASH)}
+  {hubScriptHash}
   6c7566516c75666153c56b6a00527ac46a51527ac46a00c36a51c361ac6c756661
- `.replace(/[\r\n\s]/g, ''))
+`.replace(/[\r\n\s]/g, '')
+
+/**
+ * @typedef ChainLineConfig
+ * @property {string} hubScriptHash - The hub contract's script hash (BE)
+ * @property {string} walletScriptTemplate - The wallet contract's script, hex encoded, with
+ *   {publicKeyLength}, {publicKey} and {hubScriptHash} placeholders
+ * @property {string} accountKind - The verification script of accounts: Constants.ACCOUNT_KIND_CHAIN_LINE for
+ *   Chain Line wallets or Constants.ACCOUNT_KIND_STANDARD for regular (CHECKSIG) NEO addresses
+ * @property {Object<string, {name: string, type: string}[]>} hubEvents - The arguments of the hub contract's
+ *   notifications by event name, in the order they are notified after the name. Types are ABI return types
+ *   (eg. Integer, Hash160, Demand or Travel). Notifications without a layout are decoded as raw stack items
+ */
+
+/**
+ * The hub-1.1 and wallet-1.0 revisions used when no config is given.
+ * @type {ChainLineConfig}
+ */
+export const DEFAULT_CONFIG = {
+  hubScriptHash: Constants.HUB_SCRIPT_HASH,
+  walletScriptTemplate: WALLET_SCRIPT_TEMPLATE,
+  accountKind: Constants.ACCOUNT_KIND_CHAIN_LINE,
+  hubEvents: {}
+}
+
+/**
+ * Creates a network profile for a private net or another revision of the hub and wallet contracts.
+ * @param {{hubScriptHash?: string, walletScriptTemplate?: string, accountKind?: string, hubEvents?: Object}} overrides - Values that differ from DEFAULT_CONFIG
+ * @return {ChainLineConfig} The config
+ */
+export const createChainLineConfig = (overrides = {}) => {
+  const config = Object.assign({}, DEFAULT_CONFIG, overrides)
+  config.hubScriptHash = String(config.hubScriptHash).replace(/^0x/, '').toLowerCase()
+  if (!/^[0-9a-f]{40}$/.test(config.hubScriptHash)) {
+    throw new Error(`Invalid hub script hash: ${config.hubScriptHash}`)
+  }
+  if (config.walletScriptTemplate.indexOf('{publicKey}') === -1) {
+    throw new Error('The wallet script template has no {publicKey} placeholder')
+  }
+  if (config.accountKind !== Constants.ACCOUNT_KIND_CHAIN_LINE && config.accountKind !== Constants.ACCOUNT_KIND_STANDARD) {
+    throw new Error(`Invalid account kind: ${config.accountKind}`)
+  }
+  return config
+}
+
+/**
+ * The profile of regular NEO addresses (CHECKSIG verification script), used to move funds between them and Chain Line wallets.
+ * @type {ChainLineConfig}
+ */
+export const STANDARD_ACCOUNT_CONFIG = createChainLineConfig({ accountKind: Constants.ACCOUNT_KIND_STANDARD })
+
+/**
+ * Generates the wallet script given a user's public key.
+ * @param {string} publicKeyHex - The public key, hex encoded
+ * @param {ChainLineConfig} [config] - The network profile, defaults to DEFAULT_CONFIG
+ * @return {string} The wallet script, hex encoded
+ */
+export const generateWalletScript = (publicKeyHex, config = DEFAULT_CONFIG) =>
+  config.walletScriptTemplate
+    .replace('{publicKeyLength}', int2hex(publicKeyHex.length / 2))
+    .replace('{publicKey}', publicKeyHex)
+    .replace('{hubScriptHash}', reverseHex(config.hubScriptHash))
+
+/**
+ * Recovers the public key a wallet script was generated for.
+ * @param {string} script - The wallet script, hex encoded
+ * @param {ChainLineConfig} [config] - The network profile the script was generated with, defaults to DEFAULT_CONFIG
+ * @return {string|null} The encoded public key, or null if the script is not a wallet script of this profile
+ */
+export const getPublicKeyFromWalletScript = (script, config = DEFAULT_CONFIG) => {
+  const template = config.walletScriptTemplate
+  const prefix = template.substr(0, template.indexOf('{publicKey}'))
+    .replace('{publicKeyLength}', int2hex(33))
+    .replace('{hubScriptHash}', reverseHex(config.hubScriptHash))
+  if (script.substr(0, prefix.length) !== prefix) return null
+  const publicKey = script.substr(prefix.length, 66)
+  return generateWalletScript(publicKey, config) === script ? publicKey : null
+}
 
 // UTILS
 
@@ -72,6 +153,29 @@ const consumeBytes = (state, bytes) => {
   return consumed
 }
 
+const produceInt = (num, bytes) => {
+  const int = Math.floor(num) || 0
+  if (int < 0 || int >= Math.pow(2, bytes * 8)) {
+    throw new RangeError(`Value ${num} does not fit in ${bytes} bytes`)
+  }
+  return num2hexstring(int, bytes * 2, true)
+}
+
+// GAS values are rounded up to the next satoshi, so a value is never sent short
+const toFixed8 = (gas) => Math.ceil(gas * 100000000)
+
+const produceTimestamp = (date) => {
+  const seconds = date instanceof Date ? date.getTime() / 1000 : date
+  return produceInt(seconds, Constants.TIMESTAMP_SIZE)
+}
+
+const produceHash160 = (hash) => {
+  if (typeof hash !== 'string' || hash.length !== Constants.HASH160_SIZE * 2) {
+    throw new Error(`Invalid hash160: ${hash}`)
+  }
+  return hash
+}
+
 /**
  * Returns true if the given bytes equal the length of a serialized Demand object,
  * or if it has already been deserialized by parseDemandHex.
@@ -146,71 +250,186 @@ export const parseTravelHex = (hex = '', withTimestamp) => {
   }
 }
 
+/**
+ * Serializes a Demand object into the layout read by parseDemandHex.
+ * @param {{expiry: Date|number, itemValue: number, owner: string, repRequired: number, itemSize: number, infoBlob: string}} demand - expiry may be a Date or unix timestamp, itemValue is in GAS
+ * @param {Date|number} timestamp - An optional timestamp to append, as stored by the contract
+ * @return {string} The serialized Demand object in hex
+ */
+export const serializeDemand = ({ expiry, itemValue, owner, repRequired, itemSize, infoBlob = '' }, timestamp) => {
+  const infoBlobHex = ab2hexstring(str2ab(infoBlob))
+  if (infoBlobHex.length > Constants.INFO_BLOB_SIZE * 2) {
+    throw new RangeError(`infoBlob exceeds ${Constants.INFO_BLOB_SIZE} bytes`)
+  }
+  const hex = produceTimestamp(expiry) +
+    produceInt(toFixed8(itemValue), Constants.VALUE_SIZE) +
+    produceHash160(owner) +
+    produceInt(repRequired, Constants.REP_REQUIRED_SIZE) +
+    produceInt(itemSize, Constants.CARRY_SPACE_SIZE) +
+    infoBlobHex + '00'.repeat(Constants.INFO_BLOB_SIZE - infoBlobHex.length / 2)
+  return timestamp === undefined ? hex : hex + produceTimestamp(timestamp)
+}
+
+/**
+ * Serializes a Travel object into the layout read by parseTravelHex.
+ * @param {{expiry: Date|number, repRequired: number, carrySpace: number, owner: string}} travel - expiry may be a Date or unix timestamp
+ * @param {Date|number} timestamp - An optional timestamp to append, as stored by the contract
+ * @return {string} The serialized Travel object in hex
+ */
+export const serializeTravel = ({ expiry, repRequired, carrySpace, owner }, timestamp) => {
+  const hex = produceTimestamp(expiry) +
+    produceInt(repRequired, Constants.REP_REQUIRED_SIZE) +
+    produceInt(carrySpace, Constants.CARRY_SPACE_SIZE) +
+    produceHash160(owner)
+  return timestamp === undefined ? hex : hex + produceTimestamp(timestamp)
+}
+
 /**
  * Makes a city pair hash, used by the contract for matching demands with other users.
  * @param {string} pickUpCity - The pick up city
  * @param {string} dropOffCity - The destination city
+ * @param {ChainLineConfig} [config] - The network profile, defaults to DEFAULT_CONFIG
  * @return {string} The city pair hash
  */
-export const makeCityPairHash = (pickUpCity, dropOffCity) =>
-  CryptoJS.RIPEMD160(Constants.HUB_SCRIPT_HASH + pickUpCity + dropOffCity).toString()
+export const makeCityPairHash = (pickUpCity, dropOffCity, config = DEFAULT_CONFIG) =>
+  CryptoJS.RIPEMD160(config.hubScriptHash + pickUpCity + dropOffCity).toString()
+
+// HUB ABI
+
+const param = (name, type) => ({ name, type })
+const ownerParams = [param('owner', 'Hash160'), param('publicKey', 'PublicKey')]
 
 /**
- * Parses a fixed8 VM return value into a floating point.
- * @param {number} The parsed floating point value.
+ * The operations of the hub contract, their parameters and return types.
+ * Demand and Travel return types are decoded with parseDemandHex and parseTravelHex.
  */
-const parseReservedBalance = (stackItem) => {
-  const val = stackItem.value
-  let reservedBalance = 0
-  if (typeof val === 'string' && val.length) {
-    reservedBalance = Number.parseInt(val, 10)
+const HUB_FUNCTIONS = [
+  { name: 'timestamp', parameters: [], returnType: 'Integer' },
+  { name: 'storage_get', parameters: [param('key', 'ByteArray')], returnType: 'ByteArray' },
+  { name: 'stats_getDemandsCount', parameters: [], returnType: 'Integer' },
+  { name: 'stats_getRouteUsageCount', parameters: [], returnType: 'Integer' },
+  { name: 'stats_getReservedFundsCount', parameters: [], returnType: 'Fixed8' },
+  { name: 'stats_getUserReputationScore', parameters: [param('owner', 'Hash160')], returnType: 'Integer' },
+  { name: 'wallet_getReservedGasBalance', parameters: [param('owner', 'Hash160')], returnType: 'Fixed8' },
+  { name: 'demand_getTravelMatch', parameters: [param('demand', 'ByteArray')], returnType: 'Travel' },
+  { name: 'demand_getTravelMatchedAtTime', parameters: [param('demand', 'ByteArray')], returnType: 'Integer' },
+  { name: 'travel_getDemandMatch', parameters: [param('travel', 'ByteArray')], returnType: 'Demand' },
+  { name: 'travel_getDemandMatchedAtTime', parameters: [param('travel', 'ByteArray')], returnType: 'Integer' },
+  {
+    name: 'demand_open',
+    parameters: ownerParams.concat([
+      param('expiry', 'Integer'), param('repRequired', 'Integer'), param('itemSize', 'Integer'),
+      param('itemValue', 'Integer'), param('infoBlob', 'ByteArray'), param('cityPairHash', 'Hash160')
+    ]),
+    returnType: 'ByteArray'
+  },
+  {
+    name: 'travel_open',
+    parameters: ownerParams.concat([
+      param('expiry', 'Integer'), param('repRequired', 'Integer'), param('carrySpace', 'Integer'),
+      param('cityPairHash', 'Hash160')
+    ]),
+    returnType: 'ByteArray'
+  },
+  {
+    name: 'wallet_setFundsPaidToRecipientTxHash',
+    parameters: ownerParams.concat([
+      param('recipientHash', 'Hash160'), param('value', 'Integer'), param('txHash', 'Hash256')
+    ]),
+    returnType: 'Boolean'
   }
-  return reservedBalance
-}
+]
+
+/**
+ * Describes the hub contract of a network profile.
+ * @param {ChainLineConfig} [config] - The network profile, defaults to DEFAULT_CONFIG
+ * @return {ContractABI} The hub ABI
+ */
+export const createHubABI = (config = DEFAULT_CONFIG) => ({
+  hash: config.hubScriptHash,
+  functions: HUB_FUNCTIONS
+})
 
 /**
- * Parses an integer VM return value into a JS integer.
- * @param {number} The parsed integer value.
+ * The hub-1.1 ABI.
+ * @type {ContractABI}
  */
-const parseReputationScore = (stackItem) => {
-  let reputation = Number.parseInt(stackItem.value, 10)
-  if (Number.isNaN(reputation)) reputation = 0
-  return reputation
+export const HUB_ABI = createHubABI()
+
+const hubInterfaces = new WeakMap()
+
+/**
+ * Gets the typed functions generated from the hub ABI of a network profile.
+ * hub.testInvoke.<operation>(net, ...args) runs an operation locally and resolves with its decoded return value,
+ * or rejects with an InvokeFaultError if the invoke faults.
+ * hub.invoke.<operation>(net, wif, args, options) validates the args and passes them on to invokeHub.
+ * @param {ChainLineConfig} [config] - The network profile, defaults to DEFAULT_CONFIG
+ * @return {{abi: ContractABI, testInvoke: Object, testInvokeMany: function, invoke: Object}}
+ */
+export const getHubInterface = (config = DEFAULT_CONFIG) => {
+  if (!hubInterfaces.has(config)) {
+    hubInterfaces.set(config, createContractInterface(createHubABI(config), {
+      invoke: (net, wif, operation, args, options) =>
+        invokeHub(net, wif, operation, args, Object.assign({}, options, { config })),
+      testInvoke: (net, script) => doInvokeScript(net, script, false),
+      decoders: {
+        Demand: (hex) => parseDemandHex(hex),
+        Travel: (hex) => parseTravelHex(hex)
+      }
+    }))
+  }
+  return hubInterfaces.get(config)
 }
 
+/**
+ * The typed functions generated from HUB_ABI.
+ */
+export const hub = getHubInterface()
+
 // LOCAL INVOKES
 
+/**
+ * Runs several hub functions in one local invoke for the read helpers below.
+ * These resolve with empty results (false, 0 or null) rather than reject if the invoke faults, as they always have;
+ * use hub.testInvoke or hub.testInvokeMany to get an InvokeFaultError instead.
+ * @param {string} net - 'MainNet' or 'TestNet' or custom URL
+ * @param {Array<[string, Array]>} calls - Operation names and their arguments
+ * @param {ChainLineConfig} config - The network profile
+ * @return {Promise<Array>} The decoded return values, in order, or undefined for each if the invoke faulted
+ */
+const readHub = (net, calls, config) =>
+  getHubInterface(config).testInvokeMany(net, calls).catch((err) => {
+    if (err instanceof InvokeFaultError) return calls.map(() => undefined)
+    throw err
+  })
+
 /**
  * Gets the unix epoch timestamp of the last synced block.
  * @param {string} net - 'MainNet' or 'TestNet' or custom URL
+ * @param {ChainLineConfig} [config] - The network profile, defaults to DEFAULT_CONFIG
  * @return {number} The timestamp
  */
-export const getTimestamp = async (net) => {
-  const scriptHash = Constants.HUB_SCRIPT_HASH
-  const sb = new ScriptBuilder()
-  sb.emitAppCall(scriptHash, 'timestamp')
-  const res = await doInvokeScript(net, sb.str, false)
-  const [timestamp] = parseVMStack(res.stack)
+export const getTimestamp = async (net, config = DEFAULT_CONFIG) => {
+  const [timestamp] = await readHub(net, [['timestamp']], config)
   return timestamp
 }
 
 /**
  * Gets all the global stats recorded by the contract in one object.
  * @param {string} net - 'MainNet' or 'TestNet' or custom URL
- * @return {{demands: number, cities: number, funds: number}} Stats
- */
-export const getStats = async (net) => {
-  const scriptHash = Constants.HUB_SCRIPT_HASH
-  const sb = new ScriptBuilder()
-  sb.emitAppCall(scriptHash, 'stats_getDemandsCount')
-    .emitAppCall(scriptHash, 'stats_getRouteUsageCount')
-    .emitAppCall(scriptHash, 'stats_getReservedFundsCount')
-  const res = await doInvokeScript(net, sb.str, false)
-  const [demandsStack, routesItemStack, fundsStack] = res.stack.slice(0, 3)
+ * @param {ChainLineConfig} [config] - The network profile, defaults to DEFAULT_CONFIG
+ * @return {{demands: number, routes: number, funds: number}} Stats
+ */
+export const getStats = async (net, config = DEFAULT_CONFIG) => {
+  const [demands, routes, funds] = await readHub(net, [
+    ['stats_getDemandsCount'],
+    ['stats_getRouteUsageCount'],
+    ['stats_getReservedFundsCount']
+  ], config)
   return {
-    demands: Number.parseInt(reverseHex(demandsStack.value), 16) || 0,
-    routes: Number.parseInt(reverseHex(routesItemStack.value), 16) || 0,
-    funds: fixed82num(fundsStack.value) || 0
+    demands: demands || 0,
+    routes: routes || 0,
+    funds: funds || 0
   }
 }
 
@@ -218,17 +437,15 @@ export const getStats = async (net) => {
  * Retrieves a wallet's state attributes (reserved balance and reputation score) in one invoke run.
  * @param {string} net - 'MainNet' or 'TestNet' or custom URL
  * @param {string} wif - The wallet's wif key
+ * @param {ChainLineConfig} [config] - The network profile, defaults to DEFAULT_CONFIG
  * @param {{reservedBalance: number, reputation: number}} The wallet's reserved balance (floating point) and reputation score (int)
  */
-export const getWalletState = async (net, wif, userScriptHash) => {
-  const scriptHash = Constants.HUB_SCRIPT_HASH
-  const sb = new ScriptBuilder()
-  sb.emitAppCall(scriptHash, 'wallet_getReservedGasBalance', [userScriptHash])
-    .emitAppCall(scriptHash, 'stats_getUserReputationScore', [userScriptHash])
-    .emitAppCall(scriptHash, 'storage_get', [userScriptHash])
-  const res = await doInvokeScript(net, sb.str, false)
-  const [reservedBalance] = parseVMStack(res.stack.slice(0, 1))
-  const stateHex = res.stack[2].value
+export const getWalletState = async (net, wif, userScriptHash, config = DEFAULT_CONFIG) => {
+  const [reservedBalance, reputation, stateHex] = await readHub(net, [
+    ['wallet_getReservedGasBalance', [userScriptHash]],
+    ['stats_getUserReputationScore', [userScriptHash]],
+    ['storage_get', [userScriptHash]]
+  ], config)
   let stateLookupKey = null
   if (stateHex) {
     const tsSize = Constants.TIMESTAMP_SIZE * 2
@@ -241,114 +458,226 @@ export const getWalletState = async (net, wif, userScriptHash) => {
     stateLookupKey = `${timestampHex}${expiryHex}${typeSuffixHex}`
   }
   return {
-    reservedBalance: reservedBalance ? reservedBalance / 100000000 : 0,
-    reputation: hex2int(res.stack[1].value) || 0,
+    reservedBalance: reservedBalance || 0,
+    reputation: reputation || 0,
     stateLookupKey
   }
 }
 
 /**
  * Gets a wallet's reserved GAS balance.
+ * The balance is the raw Fixed8 integer returned by the hub (GAS * 100000000), unlike getWalletState's, which is in GAS.
  * @param {string} net - 'MainNet' or 'TestNet' or custom URL
- * @param {string} wif - The wallet's WIF key
- * @return {number} Reserved GAS as a floating point
+ * @param {string|Signer} wif - The wallet's WIF key, or a signer for it
+ * @param {ChainLineConfig} [config] - The network profile, defaults to DEFAULT_CONFIG
+ * @return {{reservedBalance: number}} Reserved GAS as a Fixed8 integer
  */
-export const getReservedGasBalance = async (net, wif) => {
-  const scriptHash = Constants.HUB_SCRIPT_HASH
-  const account = getAccountFromWIFKey(wif)
-  const sb = new ScriptBuilder()
-  sb.emitAppCall(scriptHash, 'wallet_getReservedGasBalance', [account.programHash])
-  const res = await doInvokeScript(net, sb.str, false)
-  return { reservedBalance: parseReservedBalance(res.stack[0]) }
+export const getReservedGasBalance = async (net, wif, config = DEFAULT_CONFIG) => {
+  const account = new Account(isSigner(wif) ? await wif.getPublicKey() : wif, config)
+  const [reservedBalance] = await readHub(net, [['wallet_getReservedGasBalance', [account.programHash]]], config)
+  return { reservedBalance: reservedBalance ? Math.round(reservedBalance * 100000000) : 0 }
 }
 
 /**
  * Gets a wallet's user reputation score.
  * @param {string} net - 'MainNet' or 'TestNet' or custom URL
  * @param {string} userScriptHash - The user's script hash to look up
- * @return {number} The user's reputation score as a zero-based positive integer
+ * @param {ChainLineConfig} [config] - The network profile, defaults to DEFAULT_CONFIG
+ * @return {{score: number}} The user's reputation score as a zero-based positive integer
  */
-export const getUserReputationScore = async (net, userScriptHash) => {
-  const scriptHash = Constants.HUB_SCRIPT_HASH
-  const sb = new ScriptBuilder()
-  sb.emitAppCall(scriptHash, 'stats_getUserReputationScore', [userScriptHash])
-  const res = await doInvokeScript(net, sb.str, false)
-  return { score: parseReputationScore(res.stack[0]) }
+export const getUserReputationScore = async (net, userScriptHash, config = DEFAULT_CONFIG) => {
+  const [score] = await readHub(net, [['stats_getUserReputationScore', [userScriptHash]]], config)
+  return { score: score || 0 }
 }
 
 /**
  * Retrieves an object from the contract by its key (essentially a Storage.get)
  * @param {string} net - 'MainNet' or 'TestNet' or custom URL
  * @param {string} id - The ID of the object, provided by either openDemand or openTravel
+ * @param {ChainLineConfig} [config] - The network profile, defaults to DEFAULT_CONFIG
  * @return {string|boolean} The retrieved object, hex encoded, or false on failure
  */
-export const getObjectByKey = async (net, key) => {
-  const scriptHash = Constants.HUB_SCRIPT_HASH
-  const sb = new ScriptBuilder()
-  sb.emitAppCall(scriptHash, 'storage_get', [key])
-  const res = await doInvokeScript(net, sb.str, false)
-  const [retrieved] = res.stack
-  return retrieved.value || false
+export const getObjectByKey = async (net, key, config = DEFAULT_CONFIG) => {
+  const [retrieved] = await readHub(net, [['storage_get', [key]]], config)
+  return retrieved || false
 }
 
 /**
  * Retrieves the Travel object matched with a Demand and the time they were matched at.
  * @param {string} net - 'MainNet' or 'TestNet' or custom URL
  * @param {string} demand - The entire Demand object, hex encoded
- * @return {{travel: string, matchDate: Date}|null} The matched Travel object, hex encoded, and match date/time or null if unmatched
- */
-export const getDemandTravelMatch = async (net, demand) => {
-  const scriptHash = Constants.HUB_SCRIPT_HASH
-  const sb = new ScriptBuilder()
-  sb.emitAppCall(scriptHash, 'demand_getTravelMatch', [demand])
-    .emitAppCall(scriptHash, 'demand_getTravelMatchedAtTime', [demand])
-  const res = await doInvokeScript(net, sb.str, false)
-  const [matchTime] = parseVMStack(res.stack.slice(1, 2))
-  const matchTimeInt = Number.parseInt(reverseHex(res.stack[1].value), 16)
-  if (matchTime) {
-    const travel = res.stack[0].value
-    return travel ? {
-      travel: parseTravelHex(travel),
-      matchDate: new Date(matchTimeInt * 1000)
-    } : false
-  }
-  return false
+ * @param {ChainLineConfig} [config] - The network profile, defaults to DEFAULT_CONFIG
+ * @return {{travel: Object, matchDate: Date}|boolean} The matched Travel object and match date/time or false if unmatched
+ */
+export const getDemandTravelMatch = async (net, demand, config = DEFAULT_CONFIG) => {
+  const [travel, matchTime] = await readHub(net, [
+    ['demand_getTravelMatch', [demand]],
+    ['demand_getTravelMatchedAtTime', [demand]]
+  ], config)
+  return matchTime && travel ? { travel, matchDate: new Date(matchTime * 1000) } : false
 }
 
 /**
  * Retrieves the Demand object matched with a Travel and the time they were matched at.
  * @param {string} net - 'MainNet' or 'TestNet' or custom URL
  * @param {string} travel - The entire Travel object, hex encoded
- * @return {{demand: string, matchDate: Date}|boolean} The matched Demand object, hex encoded, and match date/time or null if unmatched
- */
-export const getTravelDemandMatch = async (net, travel) => {
-  const scriptHash = Constants.HUB_SCRIPT_HASH
-  const sb = new ScriptBuilder()
-  sb.emitAppCall(scriptHash, 'travel_getDemandMatch', [travel])
-    .emitAppCall(scriptHash, 'travel_getDemandMatchedAtTime', [travel])
-  const res = await doInvokeScript(net, sb.str, false)
-  const [matchTime] = parseVMStack(res.stack.slice(1, 2))
-  const matchTimeInt = Number.parseInt(reverseHex(res.stack[1].value), 16)
-  if (matchTime) {
-    const demand = res.stack[0].value
-    return demand ? {
-      demand: parseDemandHex(demand),
-      matchDate: new Date(matchTimeInt * 1000)
-    } : false
-  }
-  return false
+ * @param {ChainLineConfig} [config] - The network profile, defaults to DEFAULT_CONFIG
+ * @return {{demand: Object, matchDate: Date}|boolean} The matched Demand object and match date/time or false if unmatched
+ */
+export const getTravelDemandMatch = async (net, travel, config = DEFAULT_CONFIG) => {
+  const [demand, matchTime] = await readHub(net, [
+    ['travel_getDemandMatch', [travel]],
+    ['travel_getDemandMatchedAtTime', [travel]]
+  ], config)
+  return matchTime && demand ? { demand, matchDate: new Date(matchTime * 1000) } : false
 }
 
 // BLOCKCHAIN INVOKES
 
+/**
+ * Parses the result of a local invoke into the shape returned by all hub operations.
+ * @param {{state: string, gas_consumed: string, stack: Array}} res - The invokescript result
+ * @return {{result: boolean, gasConsumed?: number, success?: boolean}} The result, amount of GAS consumed and return value
+ */
+const parseInvokeResult = (res) => {
+  if (res.state && res.state.startsWith('HALT')) {
+    const success = res.stack && res.stack.length && res.stack[0].value !== ''
+    return { result: true, gasConsumed: res.gas_consumed, success }
+  }
+  return { result: false }
+}
+
+/**
+ * Calculates the system fee to attach to an invocation given the GAS consumed by a dry run of it.
+ * The result is rounded up to a whole GAS and the free GAS allowance is subtracted.
+ * @param {string|number} gasConsumed - The GAS consumed, as returned by invokescript
+ * @return {number} The GAS to attach to the invocation transaction
+ */
+export const calculateInvokeGas = (gasConsumed) => {
+  const fixed8GasConsumed = fixed8GasCeil(Number.parseFloat(gasConsumed) * 100000000)
+  const fixed8FreeGas = Constants.FREE_GAS_ALLOWANCE * 100000000
+  return Math.max(fixed8GasConsumed - fixed8FreeGas, 0) / 100000000
+}
+
+/**
+ * Runs a hub invocation script locally before it is sent, for its GAS cost.
+ * @param {string} net - 'MainNet' or 'TestNet' or custom URL
+ * @param {string} operation - The hub operation
+ * @param {string} script - The invocation script
+ * @return {Promise<{result: boolean, gasConsumed: number, success: boolean}>} The dry run's result. Rejects with an
+ *   InvokeFaultError, with the dry run's state, if it faults
+ */
+const dryRunHubInvocation = async (net, operation, script) => {
+  const res = await doInvokeScript(net, script, false)
+  const dryRun = parseInvokeResult(res)
+  if (!dryRun.result) throw new InvokeFaultError(`The dry run of ${operation} failed with state ${res.state}`, res.state)
+  return dryRun
+}
+
+/**
+ * Invokes a hub operation via a blockchain or local invocation.
+ * @param {string} net - 'MainNet' or 'TestNet' or custom URL
+ * @param {string|Signer} wif - The wallet's WIF key, or a signer for it
+ * @param {string} operation - The hub operation to invoke
+ * @param {Array} args - The operation's arguments
+ * @param {{sendTx: boolean, gas: number|string, dryRunFirst: boolean, config: ChainLineConfig}} options - sendTx performs a blockchain invoke (invocation transaction),
+ *   gas is the amount of GAS to send in the transaction's inputs (or 'auto' to calculate it from a dry run),
+ *   dryRunFirst aborts the transaction if a local invoke fails and config selects the hub and wallet contract revisions
+ * @return {{result: boolean, hash?: string, gasConsumed?: number, success?: boolean}} The result, tx hash (if sent), amount of GAS consumed (if local invoke) and return value.
+ *   Rejects with an InvokeFaultError if sendTx is set and the dry run (dryRunFirst or gas 'auto') faults
+ */
+export const invokeHub = async (net, wif, operation, args = [], { sendTx = false, gas = 0, dryRunFirst = false, config = DEFAULT_CONFIG } = {}) => {
+  const script = buildScript({ scriptHash: config.hubScriptHash, operation, args })
+  if (!sendTx) return parseInvokeResult(await doInvokeScript(net, script, false))
+  if (dryRunFirst || gas === 'auto') {
+    const dryRun = await dryRunHubInvocation(net, operation, script)
+    if (gas === 'auto') gas = calculateInvokeGas(dryRun.gasConsumed)
+  }
+  const signer = toSigner(wif)
+  const account = new Account(await signer.getPublicKey(), config)
+  const unsigned = await createHubInvocation(net, account, operation, script, gas, config)
+  return broadcastTransaction(net, await signUnsignedTransaction(unsigned, signer, config))
+}
+
+/**
+ * Builds the unsigned invocation transaction of a hub operation.
+ * @param {string} net - 'MainNet' or 'TestNet' or custom URL
+ * @param {Account} account - The wallet paying for the invocation
+ * @param {string} operation - The hub operation
+ * @param {string} script - The invocation script
+ * @param {number} gas - The amount of GAS to send in the transaction's inputs
+ * @param {ChainLineConfig} config - The network profile
+ * @return {Promise<UnsignedTransaction>} The unsigned transaction
+ */
+const createHubInvocation = async (net, account, operation, script, gas, config) => {
+  const balances = await getBalance(net, account.address)
+  const intents = [
+    // a non-zero value in outputs makes tx validation go through
+    { assetId: tx.ASSETS['GAS'], value: 0.001, scriptHash: account.programHash }
+  ]
+  const unsignedTx = tx.create.invocation(account.publicKey, balances, intents, script, gas, { version: 1 }, config)
+  return createUnsignedTransaction(net, unsignedTx, balances, `Invoke ${operation} on hub ${config.hubScriptHash}`)
+}
+
+/**
+ * Prepares a blockchain invoke of a hub operation, to be signed offline with signUnsignedTransaction.
+ * @param {string} net - 'MainNet' or 'TestNet' or custom URL
+ * @param {string} publicKey - The wallet's public key
+ * @param {string} operation - The hub operation to invoke
+ * @param {Array} args - The operation's arguments, validated against the hub ABI. Operations owned by a wallet take
+ *   getOwnerArgs first.
+ * @param {{gas: number|string, dryRunFirst: boolean, config: ChainLineConfig}} options - See invokeHub
+ * @return {Promise<UnsignedTransaction>} The unsigned transaction with the metadata to review it
+ */
+export const prepareHubInvocation = async (net, publicKey, operation, args = [], { gas = 0, dryRunFirst = false, config = DEFAULT_CONFIG } = {}) => {
+  const fn = getHubInterface(config).abi.functions.find((f) => f.name === operation)
+  if (!fn) throw new Error(`Unknown operation: ${operation}`)
+  const account = new Account(publicKey, config)
+  const script = buildScript({ scriptHash: config.hubScriptHash, operation, args: encodeArgs(fn, args) })
+  if (dryRunFirst || gas === 'auto') {
+    const dryRun = await dryRunHubInvocation(net, operation, script)
+    if (gas === 'auto') gas = calculateInvokeGas(dryRun.gasConsumed)
+  }
+  return createHubInvocation(net, account, operation, script, gas, config)
+}
+
+/**
+ * Gets the first two args of hub operations owned by a wallet: its script hash and public key.
+ * @param {string} key - The wallet's WIF, private or public key
+ * @param {ChainLineConfig} [config] - The network profile, defaults to DEFAULT_CONFIG
+ * @return {[string, string]} The owner's script hash (LE) and public key
+ */
+export const getOwnerArgs = (key, config = DEFAULT_CONFIG) => {
+  const account = new Account(key, config)
+  // owner: ScriptHash, already little endian
+  return [account.programHash, account.publicKey]
+}
+
+/**
+ * Invokes a hub operation owned by a wallet through its typed ABI function, passing the owner's script hash and public key as the first two args.
+ * @param {string} net - 'MainNet' or 'TestNet' or custom URL
+ * @param {string|Signer} wif - The wallet's WIF key, or a signer for it
+ * @param {string} operation - The hub operation to invoke
+ * @param {Array} args - The operation's remaining arguments
+ * @param {{sendTx: boolean, gas: number|string, dryRunFirst: boolean, config: ChainLineConfig}} options - See invokeHub
+ * @return {{result: boolean, hash?: string, gasConsumed?: number, success?: boolean}} See invokeHub
+ */
+const invokeOwnerOperation = async (net, wif, operation, args, options) => {
+  const config = options.config || DEFAULT_CONFIG
+  const signer = toSigner(wif)
+  const ownerArgs = getOwnerArgs(await signer.getPublicKey(), config)
+  return getHubInterface(config).invoke[operation](net, signer, [...ownerArgs, ...args], options)
+}
+
 /**
  * Opens a Demand via a blockchain or local invocation.
  * @param {string} net - 'MainNet' or 'TestNet' or custom URL
- * @param {string} wif - The wallet's WIF key
+ * @param {string|Signer} wif - The wallet's WIF key, or a signer for it
  * @param {{expiry: number, repRequired: number, itemSize: number, itemValue: number, infoBlob: string, pickUpCity: string, dropOffCity: string}}
  * @param {boolean} sendTx - Set to true to perform a blockchain invoke (invocation transaction), otherwise it will execute locally
- * @param {number} gas - The amount of GAS to send in the transaction's inputs (if applicable)
- * @return {{result: boolean, gasConsumed?: number, success?: boolean}} The result, amount of GAS consumed (if local invoke) and return value
+ * @param {number|string} gas - The amount of GAS to send in the transaction's inputs (if applicable), or 'auto' to calculate it from a dry run
+ * @param {ChainLineConfig} [config] - The network profile, defaults to DEFAULT_CONFIG
+ * @return {{result: boolean, hash?: string, gasConsumed?: number, success?: boolean}} The result, tx hash (if sent), amount of GAS consumed (if local invoke) and return value
  */
 export const openDemand = async (net, wif, {
   expiry,      // expiry: BigInteger
@@ -358,51 +687,23 @@ export const openDemand = async (net, wif, {
   infoBlob,    // infoBlob: ByteArray
   pickUpCity,  // pickUpCity: Hash160, these are converted to a hashed "pair"
   dropOffCity  // dropOffCity: Hash160
-}, sendTx = false, gas = 0) => {
-  const account = getAccountFromWIFKey(wif)
-  const itemValueFixed8 = Math.ceil(itemValue * 100000000)  // satoshi ceil
-  const cityPairHash = makeCityPairHash(pickUpCity, dropOffCity)
-  const invoke = {
-    scriptHash: Constants.HUB_SCRIPT_HASH,
-    operation: 'demand_open',
-    args: [
-      // owner: ScriptHash
-      // already little endian
-      account.programHash,
-      // publicKey
-      account.publicKeyEncoded,
-      // all the rest
-      expiry, repRequired, itemSize, itemValueFixed8, infoBlob, cityPairHash
-    ]
-  }
-  const script = buildScript(invoke)
-  if (sendTx) {
-    const balances = await getBalance(net, account.address)
-    const intents = [
-      // a non-zero value in outputs makes tx validation go through
-      { assetId: tx.ASSETS['GAS'], value: 0.001, scriptHash: account.programHash }
-    ]
-    const unsignedTx = tx.create.invocation(account.publicKeyEncoded, balances, intents, script, gas, { version: 1 })
-    const signedTx = tx.signTransaction(unsignedTx, account.privateKey)
-    const hexTx = tx.serializeTransaction(signedTx)
-    return queryRPC(net, 'sendrawtransaction', [hexTx], 4)
-  }
-  const res = await doInvokeScript(net, script, false)
-  if (res.state && res.state.startsWith('HALT')) {
-    const success = res.stack && res.stack.length && res.stack[0].value !== ''
-    return { result: true, gasConsumed: res.gas_consumed, success }
-  }
-  return { result: false }
+}, sendTx = false, gas = 0, config = DEFAULT_CONFIG) => {
+  const itemValueFixed8 = toFixed8(itemValue)
+  const cityPairHash = makeCityPairHash(pickUpCity, dropOffCity, config)
+  return invokeOwnerOperation(net, wif, 'demand_open', [
+    expiry, repRequired, itemSize, itemValueFixed8, infoBlob, cityPairHash
+  ], { sendTx, gas, config })
 }
 
 /**
  * Opens a Travel via a blockchain or local invocation.
  * @param {string} net - 'MainNet' or 'TestNet' or custom URL
- * @param {string} wif - The wallet's WIF key
+ * @param {string|Signer} wif - The wallet's WIF key, or a signer for it
  * @param {{expiry: number, repRequired: number, carrySpace: number, pickUpCity: string, dropOffCity: string}}
  * @param {boolean} sendTx - Set to true to perform a blockchain invoke (invocation transaction), otherwise it will execute locally
- * @param {number} gas - The amount of GAS to send in the transaction's inputs (if applicable)
- * @return {{result: boolean, gasConsumed?: number, success?: boolean}} The result, amount of GAS consumed (if local invoke) and return value
+ * @param {number|string} gas - The amount of GAS to send in the transaction's inputs (if applicable), or 'auto' to calculate it from a dry run
+ * @param {ChainLineConfig} [config] - The network profile, defaults to DEFAULT_CONFIG
+ * @return {{result: boolean, hash?: string, gasConsumed?: number, success?: boolean}} The result, tx hash (if sent), amount of GAS consumed (if local invoke) and return value
  */
 export const openTravel = async (net, wif, {
   expiry,      // expiry: BigInteger
@@ -410,73 +711,23 @@ export const openTravel = async (net, wif, {
   carrySpace,  // carrySpace: BigInteger
   pickUpCity,  // pickUpCity: Hash160
   dropOffCity  // dropOffCity: Hash160
-}, sendTx = false, gas = 0) => {
-  const account = getAccountFromWIFKey(wif)
-  const cityPairHash = makeCityPairHash(pickUpCity, dropOffCity)
-  const invoke = {
-    scriptHash: Constants.HUB_SCRIPT_HASH,
-    operation: 'travel_open',
-    args: [
-      // owner: ScriptHash
-      // already little endian
-      account.programHash,
-      // publicKey
-      account.publicKeyEncoded,
-      // all the rest
-      expiry, repRequired, carrySpace, cityPairHash
-    ]
-  }
-  const script = buildScript(invoke)
-  if (sendTx) {
-    const balances = await getBalance(net, account.address)
-    const intents = [
-      // a non-zero value in outputs makes tx validation go through
-      { assetId: tx.ASSETS['GAS'], value: 0.001, scriptHash: account.programHash }
-    ]
-    const unsignedTx = tx.create.invocation(account.publicKeyEncoded, balances, intents, script, gas, { version: 1 })
-    const signedTx = tx.signTransaction(unsignedTx, account.privateKey)
-    const hexTx = tx.serializeTransaction(signedTx)
-    return queryRPC(net, 'sendrawtransaction', [hexTx], 4)
-  }
-  const res = await doInvokeScript(net, script, false)
-  if (res.state && res.state.startsWith('HALT')) {
-    const success = res.stack && res.stack.length && res.stack[0].value !== ''
-    return { result: true, gasConsumed: res.gas_consumed, success }
-  }
-  return { result: false }
+}, sendTx = false, gas = 0, config = DEFAULT_CONFIG) => {
+  const cityPairHash = makeCityPairHash(pickUpCity, dropOffCity, config)
+  return invokeOwnerOperation(net, wif, 'travel_open', [
+    expiry, repRequired, carrySpace, cityPairHash
+  ], { sendTx, gas, config })
 }
 
 /**
  * Completes a Chain Line transaction by setting the TX hash of the courier's refund in the contract.
  * @param {string} net - 'MainNet' or 'TestNet' or custom URL
- * @param {string} wif - The wallet's WIF key
- * @param {{recipientHash: string, value: number, txHash: number}}
- * @param {number} gas - The amount of GAS to send in the transaction's inputs (if applicable)
- * @return {{result: boolean, gasConsumed?: number, success?: boolean}} The result and return value
- */
-export const setFundsPaidToRecipientTxHash = async (net, wif, { recipientHash, value, txHash }, gas = 0) => {
-  const account = getAccountFromWIFKey(wif)
-  const invoke = {
-    scriptHash: Constants.HUB_SCRIPT_HASH,
-    operation: 'wallet_setFundsPaidToRecipientTxHash',
-    args: [
-      // owner: ScriptHash
-      // already little endian
-      account.programHash,
-      // publicKey
-      account.publicKeyEncoded,
-      // all the rest
-      recipientHash, value, txHash
-    ]
-  }
-  const script = buildScript(invoke)
-  const balances = await getBalance(net, account.address)
-  const intents = [
-    // a non-zero value in outputs makes tx validation go through
-    { assetId: tx.ASSETS['GAS'], value: 0.001, scriptHash: account.programHash }
-  ]
-  const unsignedTx = tx.create.invocation(account.publicKeyEncoded, balances, intents, script, gas, { version: 1 })
-  const signedTx = tx.signTransaction(unsignedTx, account.privateKey)
-  const hexTx = tx.serializeTransaction(signedTx)
-  return queryRPC(net, 'sendrawtransaction', [hexTx], 4)
-}
+ * @param {string|Signer} wif - The wallet's WIF key, or a signer for it
+ * @param {{recipientHash: string, value: number, txHash: string}}
+ * @param {number|string} gas - The amount of GAS to send in the transaction's inputs (if applicable), or 'auto' to calculate it from a dry run
+ * @param {ChainLineConfig} [config] - The network profile, defaults to DEFAULT_CONFIG
+ * @return {{result: boolean, hash: string}} The result and tx hash
+ */
+export const setFundsPaidToRecipientTxHash = (net, wif, { recipientHash, value, txHash }, gas = 0, config = DEFAULT_CONFIG) =>
+  invokeOwnerOperation(net, wif, 'wallet_setFundsPaidToRecipientTxHash', [
+    recipientHash, value, txHash
+  ], { sendTx: true, gas, config })
@@ -0,0 +1,50 @@
+// The prototype is set explicitly as subclasses of Error lose it when transpiled to ES5
+
+/**
+ * Thrown when a WIF key is malformed.
+ */
+export class InvalidWIFError extends Error {
+  constructor (message = 'Invalid WIF key') {
+    super(message)
+    Object.setPrototypeOf(this, InvalidWIFError.prototype)
+    this.name = 'InvalidWIFError'
+    this.message = message
+  }
+}
+
+/**
+ * Thrown when the checksum of a WIF key or an address does not match its contents.
+ */
+export class ChecksumError extends Error {
+  constructor (message = 'Checksum mismatch') {
+    super(message)
+    Object.setPrototypeOf(this, ChecksumError.prototype)
+    this.name = 'ChecksumError'
+    this.message = message
+  }
+}
+
+/**
+ * Thrown when a private or public key is malformed.
+ */
+export class InvalidKeyError extends Error {
+  constructor (message = 'Invalid key') {
+    super(message)
+    Object.setPrototypeOf(this, InvalidKeyError.prototype)
+    this.name = 'InvalidKeyError'
+    this.message = message
+  }
+}
+
+/**
+ * Thrown when a local invoke does not HALT, eg. because the contract FAULTed.
+ */
+export class InvokeFaultError extends Error {
+  constructor (message = 'The invoke failed', state) {
+    super(message)
+    Object.setPrototypeOf(this, InvokeFaultError.prototype)
+    this.name = 'InvokeFaultError'
+    this.message = message
+    this.state = state
+  }
+}
@@ -0,0 +1,171 @@
+import { queryRPC } from './api'
+import { DEFAULT_CONFIG, parseDemandHex, parseTravelHex } from './chainline'
+import { hexstring2a, reverseHex } from './utils'
+import { decodeReturn } from './sc/abi.js'
+import OpCode from './sc/opCode.js'
+
+const argDecoders = {
+  Demand: (hex) => parseDemandHex(hex),
+  Travel: (hex) => parseTravelHex(hex)
+}
+
+/**
+ * Normalizes a contract hash as it appears in application logs ('0x' prefixed, big endian).
+ * @param {string} hash
+ * @return {string}
+ */
+const normalizeHash = (hash = '') => hash.replace(/^0x/, '').toLowerCase()
+
+/**
+ * Decodes a single notification emitted by the hub contract into a typed event.
+ * The arguments are decoded with the event's layout in config.hubEvents and set on the event by name.
+ * Events without a layout keep their raw stack items, as { type, args }.
+ * @param {{contract: string, state: {type: string, value: Array}}} notification - A notification from getapplicationlog
+ * @param {ChainLineConfig} [config] - The network profile, defaults to DEFAULT_CONFIG
+ * @return {{type: string}|null} The decoded event, or null if the notification was not emitted by the hub
+ */
+export const decodeHubNotification = (notification, config = DEFAULT_CONFIG) => {
+  if (normalizeHash(notification.contract) !== config.hubScriptHash) return null
+  const { state } = notification
+  if (!state || state.type !== 'Array' || !state.value.length) return null
+  const [nameItem, ...argItems] = state.value
+  const type = hexstring2a(nameItem.value)
+  const layout = (config.hubEvents || {})[type]
+  if (!layout) return { type, args: argItems }
+  return layout.reduce((event, { name, type: argType }, i) => {
+    event[name] = argItems[i] ? decodeReturn({ name: `${type}.${name}`, returnType: argType }, argItems[i], argDecoders) : null
+    return event
+  }, { type })
+}
+
+/**
+ * Fetches the application log of a transaction and decodes the events emitted by the hub contract.
+ * @param {string} net - 'MainNet' or 'TestNet' or custom URL
+ * @param {string} txid - The transaction hash
+ * @param {ChainLineConfig} [config] - The network profile, defaults to DEFAULT_CONFIG
+ * @return {Promise<Array<{type: string}>>} The decoded events, in the order they were emitted
+ */
+export const getHubEvents = (net, txid, config = DEFAULT_CONFIG) => {
+  return queryRPC(net, 'getapplicationlog', [txid])
+    .then((res) => {
+      if (!res.result) return []
+      // older nodes nest notifications in an array of executions
+      const notifications = res.result.notifications ||
+        (res.result.executions || []).reduce((all, execution) => all.concat(execution.notifications || []), [])
+      return notifications
+        .map((notification) => decodeHubNotification(notification, config))
+        .filter((event) => event !== null)
+    })
+}
+
+/**
+ * Returns true if a transaction, as returned by the getblock RPC method, is an invocation of the hub contract.
+ * @param {{type: string, script: string}} transaction
+ * @param {ChainLineConfig} [config] - The network profile, defaults to DEFAULT_CONFIG
+ * @return {boolean}
+ */
+export const isHubInvocation = (transaction, config = DEFAULT_CONFIG) => {
+  if (transaction.type !== 'InvocationTransaction' || !transaction.script) return false
+  const hubHash = reverseHex(config.hubScriptHash)
+  const script = transaction.script.toLowerCase()
+  return script.includes(OpCode.APPCALL.toString(16) + hubHash) ||
+    script.includes(OpCode.TAILCALL.toString(16) + hubHash)
+}
+
+/**
+ * Creates an in-memory block cursor. Supply your own object with the same methods to persist it.
+ * @param {number} [initial] - The block to start from
+ * @return {{get: function(): number, set: function(number)}}
+ */
+export const createMemoryCursor = (initial) => {
+  let current = initial
+  return {
+    get: () => current,
+    set: (blockIndex) => { current = blockIndex }
+  }
+}
+
+/**
+ * Walks new blocks and emits the events of every hub invocation found in them, in order.
+ * The cursor holds the next block to scan and is advanced after each block is processed, so a
+ * persisted cursor resumes where it left off. Without a stored position the scan starts at
+ * fromBlock, or at the current height if it is not given.
+ * Delivery is at least once: if onEvent fails, the block is scanned again on the next poll and the events
+ * already delivered from it are skipped, but a subscription resumed from a persisted cursor starts the
+ * interrupted block over. Make onEvent idempotent, eg. keyed by txid and event index, if that matters.
+ * @param {string} net - 'MainNet' or 'TestNet' or custom URL
+ * @param {Object} options
+ * @param {number} [options.fromBlock] - The block to start from when the cursor is empty
+ * @param {function(Object, {txid: string, blockIndex: number}): (Promise|void)} options.onEvent - Called with each decoded event
+ * @param {function(Error)} [options.onError] - Called when scanning fails, the scan is retried on the next poll
+ * @param {{get: function(): (number|Promise<number>), set: function(number): (Promise|void)}} [options.cursor] - Stores the next block to scan
+ * @param {number} [options.pollInterval] - Time to wait for new blocks, in milliseconds
+ * @param {ChainLineConfig} [options.config] - The network profile, defaults to DEFAULT_CONFIG
+ * @return {{stopped: boolean, stop: function(), done: Promise}} The subscription. stop also ends the wait for
+ *   new blocks, done resolves once the scan has stopped
+ */
+export const subscribeHubEvents = (net, {
+  fromBlock,
+  onEvent,
+  onError = () => {},
+  cursor = createMemoryCursor(),
+  pollInterval = 15000,
+  config = DEFAULT_CONFIG
+}) => {
+  let wake = () => {}
+  const subscription = {
+    stopped: false,
+    stop: () => {
+      subscription.stopped = true
+      wake()
+    }
+  }
+  const wait = (ms) => new Promise((resolve) => {
+    const timer = setTimeout(resolve, ms)
+    wake = () => {
+      clearTimeout(timer)
+      resolve()
+    }
+  })
+  // events of the current block delivered before onEvent failed, skipped when the block is retried
+  const delivered = { blockIndex: null, count: 0 }
+  const scanBlock = async (blockIndex) => {
+    const { result: block } = await queryRPC(net, 'getblock', [blockIndex, 1])
+    if (!block) throw new Error(`Block ${blockIndex} not found`)
+    if (delivered.blockIndex !== blockIndex) Object.assign(delivered, { blockIndex, count: 0 })
+    let index = 0
+    for (const transaction of block.tx.filter((transaction) => isHubInvocation(transaction, config))) {
+      const events = await getHubEvents(net, transaction.txid, config)
+      for (const event of events) {
+        if (subscription.stopped) return false
+        if (index++ < delivered.count) continue
+        await onEvent(event, { txid: transaction.txid, blockIndex })
+        delivered.count += 1
+      }
+    }
+    return true
+  }
+  const run = async () => {
+    while (!subscription.stopped) {
+      try {
+        const { result: blockCount } = await queryRPC(net, 'getblockcount', [])
+        let next = await cursor.get()
+        if (typeof next !== 'number') next = typeof fromBlock === 'number' ? fromBlock : blockCount - 1
+        while (!subscription.stopped && next < blockCount) {
+          if (!await scanBlock(next)) break
+          next += 1
+          await cursor.set(next)
+        }
+      } catch (err) {
+        try {
+          onError(err)
+        } catch (handlerError) {
+          // a failing error handler must not end the scan
+        }
+      }
+      if (!subscription.stopped) await wait(pollInterval)
+    }
+  }
+  subscription.done = run().catch(() => {})
+  return subscription
+}
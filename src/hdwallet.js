@@ -0,0 +1,145 @@
+// hierarchical deterministic keys for NEO's secp256r1 curve, derived as specified by SLIP-0010
+
+import bip39 from 'bip39'
+import BigInteger from 'bigi'
+import ecurve from 'ecurve'
+import CryptoJS from 'crypto-js'
+import secureRandom from 'secure-random'
+import { ab2hexstring, num2hexstring } from './utils'
+
+export const NEO_COIN_TYPE = 888
+export const HARDENED_OFFSET = 0x80000000
+
+const CURVE = ecurve.getCurveByName('secp256r1')
+const MASTER_SECRET = 'Nist256p1 seed'
+
+/**
+ * @typedef HDKey
+ * @property {string} privateKey - The private key, hex encoded
+ * @property {string} chainCode - The chain code, hex encoded
+ */
+
+/**
+ * Generates a random BIP39 mnemonic.
+ * @param {number} [strength] - The entropy in bits, a multiple of 32 between 128 (12 words) and 256 (24 words)
+ * @return {string} The mnemonic, as space separated english words
+ */
+export const generateMnemonic = (strength = 128) => {
+  return bip39.generateMnemonic(strength, (size) => Buffer.from(secureRandom(size)))
+}
+
+/**
+ * Validates the words and checksum of a BIP39 mnemonic.
+ * @param {string} mnemonic - The mnemonic
+ * @return {boolean} True if the mnemonic is valid
+ */
+export const validateMnemonic = (mnemonic) => bip39.validateMnemonic(mnemonic)
+
+/**
+ * Derives the BIP39 seed of a mnemonic.
+ * @param {string} mnemonic - The mnemonic
+ * @param {string} [passphrase] - An optional passphrase protecting the seed
+ * @return {string} The 64 byte seed, hex encoded
+ */
+export const mnemonicToSeed = (mnemonic, passphrase = '') => {
+  if (!validateMnemonic(mnemonic)) throw new Error('Invalid mnemonic')
+  return bip39.mnemonicToSeedHex(mnemonic, passphrase)
+}
+
+const hmacSHA512 = (keyHex, dataHex) => {
+  return CryptoJS.HmacSHA512(CryptoJS.enc.Hex.parse(dataHex), CryptoJS.enc.Hex.parse(keyHex)).toString()
+}
+
+/**
+ * Splits a HMAC-SHA512 result into a key and a chain code, retrying as long as the key is not a valid scalar.
+ * @param {string} chainCode - The HMAC key, hex encoded
+ * @param {string} data - The HMAC data, hex encoded
+ * @param {function(BigInteger): BigInteger} toKey - Turns the left half into a private key
+ * @return {HDKey} The key
+ */
+const hmacToKey = (chainCode, data, toKey) => {
+  let I = hmacSHA512(chainCode, data)
+  while (true) {
+    const IL = BigInteger.fromHex(I.substr(0, 64))
+    const IR = I.substr(64)
+    const key = IL.compareTo(CURVE.n) < 0 ? toKey(IL) : null
+    if (key && key.signum() !== 0) {
+      return { privateKey: key.toHex(32), chainCode: IR }
+    }
+    I = hmacSHA512(chainCode, '01' + IR + data.substr(-8))
+  }
+}
+
+/**
+ * Derives the master key of a seed.
+ * @param {string} seed - The seed, hex encoded
+ * @return {HDKey} The master key
+ */
+export const getMasterKey = (seed) => {
+  const I = hmacSHA512(ab2hexstring(Buffer.from(MASTER_SECRET, 'utf8')), seed)
+  const IL = BigInteger.fromHex(I.substr(0, 64))
+  if (IL.signum() === 0 || IL.compareTo(CURVE.n) >= 0) return getMasterKey(I)
+  return { privateKey: I.substr(0, 64), chainCode: I.substr(64) }
+}
+
+/**
+ * Derives a child key. Indexes from HARDENED_OFFSET on derive hardened keys.
+ * @param {HDKey} parent - The parent key
+ * @param {number} index - The child index
+ * @return {HDKey} The child key
+ */
+export const deriveChildKey = ({ privateKey, chainCode }, index) => {
+  if (!Number.isInteger(index) || index < 0 || index > 0xffffffff) throw new RangeError(`Invalid child index: ${index}`)
+  const parentKey = BigInteger.fromHex(privateKey)
+  const data = index >= HARDENED_OFFSET
+    ? '00' + privateKey
+    : CURVE.G.multiply(parentKey).getEncoded(true).toString('hex')
+  return hmacToKey(chainCode, data + num2hexstring(index, 8), (IL) => IL.add(parentKey).mod(CURVE.n))
+}
+
+/**
+ * Parses a derivation path such as m/44'/888'/0'/0/0.
+ * @param {string} path - The path, hardened indexes are marked with ' or h
+ * @return {number[]} The child indexes
+ */
+export const parsePath = (path) => {
+  const [root, ...segments] = path.split('/')
+  if (root !== 'm') throw new Error(`Invalid derivation path: ${path}`)
+  return segments.map((segment) => {
+    const match = /^(\d+)('|h|H)?$/.exec(segment)
+    if (!match) throw new Error(`Invalid derivation path: ${path}`)
+    const index = parseInt(match[1], 10)
+    if (index >= HARDENED_OFFSET) throw new Error(`Invalid derivation path: ${path}`)
+    return match[2] ? index + HARDENED_OFFSET : index
+  })
+}
+
+/**
+ * Derives the key at a path from a seed.
+ * @param {string} seed - The seed, hex encoded
+ * @param {string} path - The derivation path
+ * @return {HDKey} The key
+ */
+export const derivePath = (seed, path) => {
+  return parsePath(path).reduce(deriveChildKey, getMasterKey(seed))
+}
+
+/**
+ * Builds the BIP44 path of a NEO key.
+ * @param {number} [account] - The account index
+ * @param {number} [index] - The address index
+ * @param {number} [change] - 0 for receiving addresses, 1 for change addresses
+ * @return {string} The path, m/44'/888'/account'/change/index
+ */
+export const getNeoPath = (account = 0, index = 0, change = 0) => `m/44'/${NEO_COIN_TYPE}'/${account}'/${change}/${index}`
+
+/**
+ * Derives a private key from a mnemonic along the NEO path, ready for getAccountFromPrivateKey.
+ * @param {string} mnemonic - The mnemonic
+ * @param {{account?: number, index?: number, passphrase?: string}} [options] - The account and address index, and the
+ *   passphrase protecting the seed
+ * @return {string} The private key, hex encoded
+ */
+export const getPrivateKeyFromMnemonic = (mnemonic, { account = 0, index = 0, passphrase = '' } = {}) => {
+  return derivePath(mnemonicToSeed(mnemonic, passphrase), getNeoPath(account, index)).privateKey
+}
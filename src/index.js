@@ -5,3 +5,13 @@ export * from './wallet'
 export * from './transactions/index'
 export * from './chainline'
 export * from './utils'
+export * from './events'
+export * from './migration'
+export * from './errors'
+export { default as Account } from './account'
+export * from './nep6'
+export * from './hdwallet'
+export * from './message'
+export * from './multisig'
+export * from './offline'
+export * from './signer'
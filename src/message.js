@@ -0,0 +1,62 @@
+// Messages are wrapped like a transaction that can never be valid, so a signed message cannot be replayed on chain
+
+import {
+  getScriptHashFromAddress,
+  getScriptHashFromPublicKey,
+  signatureData,
+  verifySignatureData
+} from './wallet'
+import { num2VarInt } from './utils'
+
+export const MESSAGE_PREFIX = '010001f0'
+export const MESSAGE_SUFFIX = '0000'
+
+/**
+ * Encodes a message for signing: the prefix, the length of the UTF-8 message as a VarInt, the message and the suffix.
+ * @param {string} message - The message
+ * @return {string} The data to sign, hex encoded
+ */
+export const getMessageHex = (message) => {
+  if (typeof message !== 'string') throw new TypeError('Expected the message as a string')
+  const hex = Buffer.from(message, 'utf8').toString('hex')
+  return MESSAGE_PREFIX + num2VarInt(hex.length / 2) + hex + MESSAGE_SUFFIX
+}
+
+/**
+ * Signs a message with a private key.
+ * @param {string} message - The message
+ * @param {string} privateKey - The private key, hex encoded
+ * @return {string} The signature, hex encoded
+ */
+export const signMessage = (message, privateKey) => signatureData(getMessageHex(message), privateKey)
+
+/**
+ * Verifies the signature of a message.
+ * @param {string} message - The message
+ * @param {string} signature - The signature, hex encoded
+ * @param {string} publicKey - The public key of the signer, encoded or unencoded
+ * @return {boolean} True if the public key signed the message
+ */
+export const verifySignature = (message, signature, publicKey) => {
+  return verifySignatureData(getMessageHex(message), signature, publicKey)
+}
+
+/**
+ * Verifies that a message was signed by the owner of an address, such as a courier's Chain Line wallet.
+ * @param {string} message - The message
+ * @param {string} signature - The signature, hex encoded
+ * @param {string} publicKey - The encoded public key of the signer
+ * @param {string} address - The address the signer claims to own
+ * @param {ChainLineConfig} [config] - The account kind and contract revisions the address was derived with
+ * @return {boolean} True if the public key owns the address and signed the message
+ */
+export const verifyAddressSignature = (message, signature, publicKey, address, config) => {
+  let scriptHash
+  try {
+    scriptHash = getScriptHashFromPublicKey(publicKey, config)
+  } catch (err) {
+    return false
+  }
+  if (scriptHash !== getScriptHashFromAddress(address)) return false
+  return verifySignature(message, signature, publicKey)
+}
@@ -0,0 +1,76 @@
+import { getBalance } from './api'
+import { DEFAULT_CONFIG } from './chainline'
+import Account from './account'
+import * as tx from './transactions/index.js'
+import { CURRENT_VERSION } from './transactions/create.js'
+
+const SWEPT_ASSETS = ['NEO', 'GAS']
+
+/**
+ * Derives the wallet accounts of a key before and after a hub upgrade.
+ * Both accounts share the key, but their addresses differ as the hub script hash is embedded in the wallet script.
+ * @param {string} wif - The wallet's WIF key
+ * @param {ChainLineConfig} fromConfig - The network profile the funds are held under
+ * @param {ChainLineConfig} [toConfig] - The network profile to migrate to, defaults to DEFAULT_CONFIG
+ * @return {{from: Account, to: Account}} The old and new wallet accounts
+ * @throws {InvalidWIFError|ChecksumError} If the WIF key is invalid
+ */
+export const getMigrationAccounts = (wif, fromConfig, toConfig = DEFAULT_CONFIG) => {
+  const from = new Account(wif, fromConfig)
+  const to = new Account(from.privateKey, toConfig)
+  return { from, to }
+}
+
+/**
+ * Builds and signs a ContractTransaction that sweeps every NEO and GAS input of the old wallet to the new one.
+ * The witness carries the old wallet's verification script, which is the one guarding the inputs.
+ * @param {string} wif - The wallet's WIF key
+ * @param {Balance} balances - The balances at the old wallet address
+ * @param {ChainLineConfig} fromConfig - The network profile the funds are held under
+ * @param {ChainLineConfig} [toConfig] - The network profile to migrate to, defaults to DEFAULT_CONFIG
+ * @return {Transaction|null} The signed transaction, or null if there is nothing to sweep
+ */
+export const createMigrationTx = (wif, balances, fromConfig, toConfig = DEFAULT_CONFIG) => {
+  const { from, to } = getMigrationAccounts(wif, fromConfig, toConfig)
+  const inputs = []
+  const outputs = []
+  SWEPT_ASSETS.forEach((symbol) => {
+    const unspent = (balances[symbol] && balances[symbol].unspent) || []
+    if (!unspent.length) return
+    // sum as Fixed8 integers so the output matches the inputs exactly
+    const fixed8Total = unspent.reduce((total, input) => total + Math.round(input.value * 100000000), 0)
+    unspent.forEach((input) => inputs.push({ prevHash: input.txid, prevIndex: input.index }))
+    outputs.push({ assetId: tx.ASSETS[symbol], value: fixed8Total / 100000000, scriptHash: to.scriptHash })
+  })
+  if (!inputs.length) return null
+  const unsignedTx = {
+    type: 128,
+    version: CURRENT_VERSION,
+    attributes: [],
+    inputs,
+    outputs,
+    scripts: []
+  }
+  return tx.signTransaction(unsignedTx, from.privateKey, undefined, fromConfig)
+}
+
+/**
+ * Prepares the migration of a wallet after a hub upgrade.
+ * Looks up the balances left at the old wallet address and signs a transaction sweeping them to the new address.
+ * Send the transaction with doSendTx once the balances have been reviewed.
+ * @param {string} net - 'MainNet' or 'TestNet' or custom URL
+ * @param {string} wif - The wallet's WIF key
+ * @param {ChainLineConfig} fromConfig - The network profile the funds are held under
+ * @param {ChainLineConfig} [toConfig] - The network profile to migrate to, defaults to DEFAULT_CONFIG
+ * @return {Promise<{fromAddress: string, toAddress: string, balances: Balance, transaction: Transaction|null}>}
+ */
+export const prepareWalletMigration = async (net, wif, fromConfig, toConfig = DEFAULT_CONFIG) => {
+  const { from, to } = getMigrationAccounts(wif, fromConfig, toConfig)
+  const balances = await getBalance(net, from.address)
+  return {
+    fromAddress: from.address,
+    toAddress: to.address,
+    balances,
+    transaction: createMigrationTx(wif, balances, fromConfig, toConfig)
+  }
+}
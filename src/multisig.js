@@ -0,0 +1,159 @@
+import {
+  createMultiSigScript,
+  parseMultiSigScript,
+  getAccountFromPrivateKey,
+  getHash,
+  signatureData,
+  verifySignatureData,
+  toAddress
+} from './wallet'
+import { serializeTransaction, serialize } from './transactions/index'
+import { hexstring2ab, num2VarInt, reverseHex } from './utils'
+
+/**
+ * @typedef MultiSigAccount
+ * @property {number} threshold - The number of signatures required
+ * @property {string[]} publicKeys - The public keys, in script order
+ * @property {string} verificationScript - The multi-signature script
+ * @property {string} scriptHash - Script hash (BE) of the verification script
+ * @property {string} address - The address
+ */
+
+/**
+ * @typedef PartialTransaction
+ * @property {string} transaction - The unsigned transaction, hex encoded
+ * @property {string} verificationScript - The multi-signature script the transaction is signed for
+ * @property {Object<string, string>} signatures - The signatures collected so far, keyed by public key
+ */
+
+/**
+ * Creates a m-of-n multi-signature account.
+ * @param {number} threshold - The number of signatures required
+ * @param {string[]} publicKeys - The public keys of the signers, in encoded form and in any order
+ * @return {MultiSigAccount} The account
+ */
+export const createMultiSigAccount = (threshold, publicKeys) => {
+  const verificationScript = createMultiSigScript(threshold, publicKeys)
+  const programHash = getHash(verificationScript)
+  return {
+    threshold,
+    publicKeys: parseMultiSigScript(verificationScript).publicKeys,
+    verificationScript,
+    scriptHash: reverseHex(programHash),
+    address: toAddress(hexstring2ab(programHash))
+  }
+}
+
+const getSigners = (partial) => {
+  const signers = parseMultiSigScript(partial.verificationScript)
+  if (!signers) throw new Error('The verification script is not a multi-signature script')
+  return signers
+}
+
+/**
+ * Starts collecting the signatures of a transaction spending from a multi-signature account.
+ * @param {Transaction|string} tx - The unsigned transaction, as an object or hex encoded
+ * @param {string} verificationScript - The multi-signature script of the account
+ * @return {PartialTransaction} The partially signed transaction, without signatures
+ */
+export const createPartialTransaction = (tx, verificationScript) => {
+  const partial = {
+    transaction: typeof tx === 'string' ? tx : serializeTransaction(tx, false),
+    verificationScript,
+    signatures: {}
+  }
+  getSigners(partial)
+  return partial
+}
+
+/**
+ * Adds a signature made elsewhere, such as on another machine or by a hardware wallet.
+ * @param {PartialTransaction} partial - The partially signed transaction
+ * @param {string} publicKey - The public key of the signer, in encoded form
+ * @param {string} signature - The signature of the unsigned transaction, hex encoded
+ * @return {PartialTransaction} The partially signed transaction
+ */
+export const importSignature = (partial, publicKey, signature) => {
+  const key = publicKey.toLowerCase()
+  if (getSigners(partial).publicKeys.indexOf(key) === -1) {
+    throw new Error(`${publicKey} is not a signer of the multi-signature script`)
+  }
+  if (!verifySignatureData(partial.transaction, signature, key)) {
+    throw new Error(`Invalid signature of ${publicKey}`)
+  }
+  partial.signatures[key] = signature.toLowerCase()
+  return partial
+}
+
+/**
+ * Signs the transaction with one of the keys of the multi-signature account.
+ * @param {PartialTransaction} partial - The partially signed transaction
+ * @param {string} privateKey - The private key, hex encoded
+ * @return {PartialTransaction} The partially signed transaction
+ */
+export const addSignature = (partial, privateKey) => {
+  const { publicKeyEncoded } = getAccountFromPrivateKey(privateKey)
+  return importSignature(partial, publicKeyEncoded, signatureData(partial.transaction, privateKey))
+}
+
+/**
+ * Merges the signatures of copies of the same transaction signed independently.
+ * @param {...PartialTransaction} partials - The partially signed transactions
+ * @return {PartialTransaction} A new partially signed transaction holding every signature
+ */
+export const mergePartialTransactions = (...partials) => {
+  const [first] = partials
+  const merged = createPartialTransaction(first.transaction, first.verificationScript)
+  partials.forEach((partial) => {
+    if (partial.transaction !== merged.transaction || partial.verificationScript !== merged.verificationScript) {
+      throw new Error('Cannot merge signatures of different transactions')
+    }
+    Object.keys(partial.signatures).forEach((key) => importSignature(merged, key, partial.signatures[key]))
+  })
+  return merged
+}
+
+/**
+ * Checks if enough signatures have been collected to finalize the transaction.
+ * @param {PartialTransaction} partial - The partially signed transaction
+ * @return {boolean} True if the threshold is met
+ */
+export const isPartialTransactionComplete = (partial) => {
+  return Object.keys(partial.signatures).length >= getSigners(partial).threshold
+}
+
+/**
+ * Serializes a partially signed transaction, to hand it to the next signer.
+ * @param {PartialTransaction} partial - The partially signed transaction
+ * @return {string} The partially signed transaction as JSON
+ */
+export const serializePartialTransaction = (partial) => JSON.stringify(partial)
+
+/**
+ * Reads a partially signed transaction received from another signer, checking every signature.
+ * @param {string} json - The partially signed transaction as JSON
+ * @return {PartialTransaction} The partially signed transaction
+ */
+export const deserializePartialTransaction = (json) => {
+  const data = JSON.parse(json)
+  if (!data || typeof data.transaction !== 'string' || typeof data.signatures !== 'object') {
+    throw new Error('Invalid partially signed transaction')
+  }
+  return mergePartialTransactions(data)
+}
+
+/**
+ * Builds the witness of the multi-signature account, with the signatures in the order of the keys in the script.
+ * @param {PartialTransaction} partial - The partially signed transaction
+ * @return {string} The signed transaction, hex encoded, ready to be sent over RPC
+ */
+export const finalizePartialTransaction = (partial) => {
+  const { threshold, publicKeys } = getSigners(partial)
+  const signatures = publicKeys.filter((key) => partial.signatures[key]).map((key) => partial.signatures[key])
+  if (signatures.length < threshold) {
+    throw new Error(`Expected ${threshold} signatures but only found ${signatures.length}`)
+  }
+  const invocationScript = signatures.slice(0, threshold).map((signature) => '40' + signature).join('')
+  const witness = serialize.script({ invocationScript, verificationScript: partial.verificationScript })
+  return partial.transaction + num2VarInt(1) + witness
+}
@@ -2,29 +2,38 @@
 
 import bs58check from 'bs58check'
 import C, { SHA256, AES, enc } from 'crypto-js'
-import scrypt from 'js-scrypt'
 import { getAccountFromWIFKey, getAccountFromPrivateKey, generatePrivateKey, getWIFFromPrivateKey } from './wallet'
 import { ab2hexstring, hexXor } from './utils'
+import { scryptAsync } from './scrypt'
 
 // specified by nep2, same as bip38
 const NEP_HEADER = '0142'
 const NEP_FLAG = 'e0'
-const SCRYPT_OPTS = {
-  cost: 16384,
-  blockSize: 8,
-  parallel: 8,
-  size: 64
-}
+const SCRYPT_KEY_SIZE = 64
+
+/**
+ * @typedef ScryptParams
+ * @property {number} n - CPU/memory cost
+ * @property {number} r - Block size
+ * @property {number} p - Parallelization
+ */
+
+/**
+ * The scrypt parameters specified by nep2.
+ * @type {ScryptParams}
+ */
+export const DEFAULT_SCRYPT = { n: 16384, r: 8, p: 8 }
 
 /**
  * Encrypts an WIF key with a given passphrase, returning a Promise<Account>.
  * @param {string} wif - The WIF key to encrypt.
  * @param {string} passphrase - The password.
+ * @param {ChainLineConfig} [config] - The account kind and contract revisions the address is derived with.
  * @return {Promise<Account>} A Promise returning an Account object.
  */
-export const encryptWifAccount = (wif, passphrase) => {
-  return encryptWIF(wif, passphrase).then((encWif) => {
-    const loadAccount = getAccountFromWIFKey(wif)
+export const encryptWifAccount = (wif, passphrase, config) => {
+  return encryptWIF(wif, passphrase, DEFAULT_SCRYPT, undefined, config).then((encWif) => {
+    const loadAccount = getAccountFromWIFKey(wif, config)
     return {
       wif,
       address: loadAccount.address,
@@ -37,13 +46,15 @@ export const encryptWifAccount = (wif, passphrase) => {
 /**
  * Generates a new private Key and encrypts it with the given passphrase.
  * @param {string} passphrase - The password.
+ * @param {string} [privateKey] - The private key to encrypt instead of a new one.
+ * @param {ChainLineConfig} [config] - The account kind and contract revisions the address is derived with.
  * @return {Promise<Account>} A Promise returning an Account object.
  */
-export const generateEncryptedWif = (passphrase, privateKey) => {
+export const generateEncryptedWif = (passphrase, privateKey, config) => {
   const newPrivateKey = privateKey || generatePrivateKey()
   const newWif = getWIFFromPrivateKey(newPrivateKey)
-  return encryptWIF(newWif, passphrase).then((encWif) => {
-    const loadAccount = getAccountFromWIFKey(newWif)
+  return encryptWIF(newWif, passphrase, DEFAULT_SCRYPT, undefined, config).then((encWif) => {
+    const loadAccount = getAccountFromWIFKey(newWif, config)
     return {
       wif: newWif,
       address: loadAccount.address,
@@ -54,19 +65,47 @@ export const generateEncryptedWif = (passphrase, privateKey) => {
 }
 
 /**
- * Encrypts a WIF key using a given keyphrase under NEP-2 Standard.
- * @param {string} wifKey - WIF key to encrypt (52 chars long).
+ * Gets the NEP-2 address hash, the salt of the key derivation.
+ * @param {string} address - The address of the key
+ * @return {string} The first 4 bytes of the address' double SHA256, hex encoded.
+ */
+const getAddressHash = (address) => SHA256(SHA256(enc.Latin1.parse(address))).toString().slice(0, 8)
+
+/**
+ * Derives the NEP-2 key halves from a keyphrase and an address hash.
  * @param {string} keyphrase - The password. Will be encoded as UTF-8.
- * @returns {string} The encrypted key in Base58 (Case sensitive).
+ * @param {string} addressHash - The first 4 bytes of the address' double SHA256, hex encoded.
+ * @param {ScryptParams} scryptParams - The scrypt parameters.
+ * @param {function(number)} [onProgress] - Called with the fraction of work done, from 0 to 1.
+ * @return {Promise<{derived1: string, derived2: string}>} The halves used to XOR and to AES encrypt the private key.
  */
-const encrypt = (wifKey, keyphrase) => {
-  const account = getAccountFromWIFKey(wifKey)
+const deriveKey = (keyphrase, addressHash, scryptParams, onProgress) => {
+  return scryptAsync(Buffer.from(keyphrase, 'utf8'), Buffer.from(addressHash, 'hex'), scryptParams, SCRYPT_KEY_SIZE, onProgress)
+    .then((key) => {
+      const derived = ab2hexstring(key)
+      return { derived1: derived.slice(0, 64), derived2: derived.slice(64) }
+    })
+}
+
+/**
+ * Encrypts a WIF key using a given keyphrase under NEP-2 Standard, without blocking.
+ * The salt is derived from the address of the key, so the config has to match the address the key is used with:
+ * STANDARD_ACCOUNT_CONFIG for keys shared with other NEO wallets.
+ * @param {string} wif - WIF key to encrypt (52 chars long).
+ * @param {string} passphrase - The password. Will be encoded as UTF-8.
+ * @param {ScryptParams} [scryptParams] - The scrypt parameters, defaults to DEFAULT_SCRYPT.
+ * @param {function(number)} [onProgress] - Called with the fraction of work done, from 0 to 1. Only called on
+ *   completion where scryptAsync cannot report progress.
+ * @param {ChainLineConfig} [config] - The account kind and contract revisions the address is derived with.
+ * @return {Promise<string>} The encrypted key in Base58 (Case sensitive).
+ */
+export const encryptWIF = async (wif, passphrase, scryptParams = DEFAULT_SCRYPT, onProgress, config) => {
+  const account = getAccountFromWIFKey(wif, config)
+  if (account === -1 || account === -2) throw new Error('Invalid WIF key')
     // SHA Salt (use the first 4 bytes)
-  const addressHash = SHA256(SHA256(enc.Latin1.parse(account.address))).toString().slice(0, 8)
+  const addressHash = getAddressHash(account.address)
     // Scrypt
-  const derived = scrypt.hashSync(Buffer.from(keyphrase, 'utf8'), Buffer.from(addressHash, 'hex'), SCRYPT_OPTS).toString('hex')
-  const derived1 = derived.slice(0, 64)
-  const derived2 = derived.slice(64)
+  const { derived1, derived2 } = await deriveKey(passphrase, addressHash, scryptParams, onProgress)
     // AES Encrypt
   const xor = hexXor(account.privateKey, derived1)
   const encrypted = AES.encrypt(enc.Hex.parse(xor), enc.Hex.parse(derived2), { mode: C.mode.ECB, padding: C.pad.NoPadding })
@@ -76,33 +115,24 @@ const encrypt = (wifKey, keyphrase) => {
 }
 
 /**
- * Decrypts an encrypted key using a given keyphrase under NEP-2 Standard.
- * @param {string} encryptedKey - The encrypted key (58 chars long).
- * @param {string} keyphrase - The password. Will be encoded as UTF-8.
- * @returns {string} The decrypted WIF key.
+ * Decrypts an encrypted key using a given keyphrase under NEP-2 Standard, without blocking.
+ * @param {string} encrypted - The encrypted key (58 chars long).
+ * @param {string} passphrase - The password. Will be encoded as UTF-8.
+ * @param {ScryptParams} [scryptParams] - The scrypt parameters, defaults to DEFAULT_SCRYPT.
+ * @param {function(number)} [onProgress] - Called with the fraction of work done, from 0 to 1. Only called on
+ *   completion where scryptAsync cannot report progress.
+ * @param {ChainLineConfig} [config] - The account kind and contract revisions the key was encrypted with.
+ * @return {Promise<string>} The decrypted WIF key.
  */
-const decrypt = (encryptedKey, keyphrase) => {
-  const assembled = ab2hexstring(bs58check.decode(encryptedKey))
+export const decryptWIF = async (encrypted, passphrase, scryptParams = DEFAULT_SCRYPT, onProgress, config) => {
+  const assembled = ab2hexstring(bs58check.decode(encrypted))
   const addressHash = assembled.substr(6, 8)
-  const encrypted = assembled.substr(-64)
-  const derived = scrypt.hashSync(Buffer.from(keyphrase, 'utf8'), Buffer.from(addressHash, 'hex'), SCRYPT_OPTS).toString('hex')
-  const derived1 = derived.slice(0, 64)
-  const derived2 = derived.slice(64)
-  const ciphertext = { ciphertext: enc.Hex.parse(encrypted), salt: '' }
+  const encryptedKey = assembled.substr(-64)
+  const { derived1, derived2 } = await deriveKey(passphrase, addressHash, scryptParams, onProgress)
+  const ciphertext = { ciphertext: enc.Hex.parse(encryptedKey), salt: '' }
   const decrypted = AES.decrypt(ciphertext, enc.Hex.parse(derived2), { mode: C.mode.ECB, padding: C.pad.NoPadding })
   const privateKey = hexXor(decrypted.toString(), derived1)
-  const address = getAccountFromPrivateKey(privateKey).address
-  const newAddressHash = SHA256(SHA256(enc.Latin1.parse(address))).toString().slice(0, 8)
-  if (addressHash !== newAddressHash) throw new Error('Wrong Password!')
+  const address = getAccountFromPrivateKey(privateKey, config).address
+  if (addressHash !== getAddressHash(address)) throw new Error('Wrong Password!')
   return getWIFFromPrivateKey(Buffer.from(privateKey, 'hex'))
 }
-
-// helpers to wrap synchronous functions in promises
-
-export const encryptWIF = (wif, passphrase) => {
-  return Promise.resolve(encrypt(wif, passphrase))
-}
-
-export const decryptWIF = (encrypted, passphrase) => {
-  return Promise.resolve(decrypt(encrypted, passphrase))
-}
@@ -1,7 +1,7 @@
 import ScriptBuilder from './sc/scriptBuilder.js'
 import { getScriptHashFromAddress } from './wallet'
 import { doInvokeScript, parseVMStack } from './api'
-import { reverseHex, fixed82num } from './utils'
+import { reverseHex } from './utils'
 
 /**
  * Queries for NEP5 Token information.
@@ -19,9 +19,8 @@ export const getTokenInfo = (net, scriptHash) => {
   const script = sb.str
   return doInvokeScript(net, script, false)
     .then((res) => {
-      const [name, symbol, decimals] = parseVMStack(res.stack.slice(0, 3))
       // totalSupply is parsed as Fixed8
-      const totalSupply = (fixed82num(res.stack[3].value))
+      const [name, symbol, decimals, totalSupply] = parseVMStack(res.stack.slice(0, 4), ['string', 'string', 'int', 'fixed8'])
       return { name, symbol, decimals, totalSupply }
     })
 }
@@ -39,6 +38,7 @@ export const getTokenBalance = (net, scriptHash, address) => {
   const script = sb.emitAppCall(scriptHash, 'balanceOf', [addrScriptHash]).str
   return doInvokeScript(net, script, false)
     .then((res) => {
-      return fixed82num(res.stack[0].value)
+      const [balance] = parseVMStack(res.stack, ['fixed8'])
+      return balance
     })
 }
@@ -0,0 +1,182 @@
+import Account from './account'
+import { Constants, DEFAULT_CONFIG, createChainLineConfig } from './chainline'
+import { DEFAULT_SCRYPT } from './nep2'
+import { verifyAddress } from './wallet'
+
+const NEP6_VERSION = '1.0'
+const NEP2_REGEX = /^6P[1-9A-HJ-NP-Za-km-z]{56}$/
+
+/**
+ * @typedef NEP6Contract
+ * @property {string} script - The verification script, hex encoded
+ * @property {Array<{name: string, type: string}>} parameters - The parameters of the verification script
+ * @property {boolean} deployed - Whether the contract is deployed on the blockchain
+ */
+
+/**
+ * @typedef NEP6Account
+ * @property {string} address - The address of the account
+ * @property {string|null} label - A label given by the user
+ * @property {boolean} isDefault - Whether this is the default account of the wallet
+ * @property {boolean} lock - Whether the account is locked by the user
+ * @property {string|null} key - The NEP-2 encrypted private key, or null for a watch-only account
+ * @property {NEP6Contract|null} contract - The contract of the account
+ * @property {*} extra - Any data defined by the application
+ */
+
+/**
+ * @typedef NEP6Wallet
+ * @property {string|null} name - A label given by the user
+ * @property {string} version - The NEP-6 version
+ * @property {ScryptParams} scrypt - The scrypt parameters the keys are encrypted with
+ * @property {NEP6Account[]} accounts - The accounts of the wallet
+ * @property {*} extra - Any data defined by the application
+ */
+
+/**
+ * Creates the contract entry of an account. Both Chain Line wallets and standard accounts take a single signature.
+ * @param {Account} account - The account
+ * @return {NEP6Contract} The contract
+ */
+const createContract = (account) => ({
+  script: account.verificationScript,
+  parameters: [{ name: 'signature', type: 'Signature' }],
+  deployed: false
+})
+
+/**
+ * Creates an empty NEP-6 wallet.
+ * @param {{name?: string, scrypt?: ScryptParams}} [options] - The wallet's name and the scrypt parameters for its keys
+ * @return {NEP6Wallet} The wallet
+ */
+export const createWallet = ({ name = null, scrypt = DEFAULT_SCRYPT } = {}) => ({
+  name,
+  version: NEP6_VERSION,
+  scrypt: Object.assign({}, scrypt),
+  accounts: [],
+  extra: null
+})
+
+/**
+ * Reads a NEP-6 wallet, filling in the optional fields.
+ * @param {string|Object} json - The wallet file's contents, as a string or parsed
+ * @return {NEP6Wallet} The wallet
+ */
+export const readWallet = (json) => {
+  const data = typeof json === 'string' ? JSON.parse(json) : json
+  if (!data || !Array.isArray(data.accounts)) throw new Error('Invalid NEP-6 wallet: missing accounts')
+  const scrypt = Object.assign({}, DEFAULT_SCRYPT, data.scrypt)
+  const accounts = data.accounts.map((entry, i) => {
+    if (typeof entry.address !== 'string' || !verifyAddress(entry.address)) {
+      throw new Error(`Invalid NEP-6 wallet: account ${i} has an invalid address`)
+    }
+    if (entry.key && !NEP2_REGEX.test(entry.key)) {
+      throw new Error(`Invalid NEP-6 wallet: account ${i} has an invalid NEP-2 key`)
+    }
+    return {
+      address: entry.address,
+      label: entry.label || null,
+      isDefault: entry.isDefault === true,
+      lock: entry.lock === true,
+      key: entry.key || null,
+      contract: entry.contract || null,
+      extra: entry.extra === undefined ? null : entry.extra
+    }
+  })
+  return {
+    name: data.name || null,
+    version: data.version || NEP6_VERSION,
+    scrypt,
+    accounts,
+    extra: data.extra === undefined ? null : data.extra
+  }
+}
+
+/**
+ * Writes a NEP-6 wallet to a string, ready to be saved as a wallet file.
+ * @param {NEP6Wallet} wallet - The wallet
+ * @return {string} The wallet as JSON
+ */
+export const writeWallet = (wallet) => JSON.stringify(wallet, null, 2)
+
+/**
+ * Encrypts a key and adds its account to a wallet. The first account added becomes the default one.
+ * @param {NEP6Wallet} wallet - The wallet
+ * @param {string} wif - The WIF key of the account
+ * @param {string} passphrase - The password to encrypt the key with
+ * @param {{label?: string, isDefault?: boolean, config?: ChainLineConfig}} [options] - The account's label, whether it
+ *   becomes the default account and the account kind and contract revisions to derive its address with
+ * @return {Promise<NEP6Wallet>} The wallet
+ */
+export const addAccount = (wallet, wif, passphrase, { label = null, isDefault = false, config } = {}) => {
+  return new Account(wif, config).encrypt(passphrase, wallet.scrypt).then((account) => {
+    if (wallet.accounts.some((entry) => entry.address === account.address)) {
+      throw new Error(`The wallet already holds ${account.address}`)
+    }
+    wallet.accounts.push({
+      address: account.address,
+      label,
+      isDefault: false,
+      lock: false,
+      key: account.encrypted,
+      contract: createContract(account),
+      extra: null
+    })
+    if (isDefault || !getDefaultAccount(wallet)) setDefaultAccount(wallet, account.address)
+    return wallet
+  })
+}
+
+/**
+ * Gets the default account of a wallet.
+ * @param {NEP6Wallet} wallet - The wallet
+ * @return {NEP6Account|undefined} The default account
+ */
+export const getDefaultAccount = (wallet) => wallet.accounts.find((entry) => entry.isDefault)
+
+/**
+ * Makes an account the default account of a wallet.
+ * @param {NEP6Wallet} wallet - The wallet
+ * @param {string} address - The address of the account
+ * @return {NEP6Wallet} The wallet
+ */
+export const setDefaultAccount = (wallet, address) => {
+  if (!wallet.accounts.some((entry) => entry.address === address)) {
+    throw new Error(`The wallet does not hold ${address}`)
+  }
+  wallet.accounts.forEach((entry) => { entry.isDefault = entry.address === address })
+  return wallet
+}
+
+/**
+ * Gets the config to decrypt an account with. Accounts whose contract is a plain signature script are standard
+ * accounts, as written by other NEO wallets, whatever the account kind of the config.
+ * @param {NEP6Account} entry - The account
+ * @param {ChainLineConfig} [config] - The account kind and contract revisions of the other accounts
+ * @return {ChainLineConfig|undefined} The config
+ */
+const getEntryConfig = (entry, config) => {
+  if (!entry.contract || !/^21(02|03)[0-9a-f]{64}ac$/i.test(entry.contract.script)) return config
+  return createChainLineConfig(Object.assign({}, config || DEFAULT_CONFIG, { accountKind: Constants.ACCOUNT_KIND_STANDARD }))
+}
+
+/**
+ * Decrypts every account of a wallet with a passphrase. Watch-only accounts are returned without a private key.
+ * NEP-2 salts the key with the address, so each key is decrypted with the account kind of its contract.
+ * @param {NEP6Wallet} wallet - The wallet
+ * @param {string} passphrase - The password the keys are encrypted with
+ * @param {ChainLineConfig} [config] - The account kind and contract revisions the addresses were derived with
+ * @return {Promise<Account[]>} The accounts, in the order of the wallet
+ */
+export const decryptWallet = (wallet, passphrase, config) => {
+  return wallet.accounts.reduce((decrypting, entry) => decrypting.then((accounts) => {
+    const entryConfig = getEntryConfig(entry, config)
+    if (!entry.key) return accounts.concat(new Account(entry.address, entryConfig))
+    return Account.fromEncrypted(entry.key, passphrase, entryConfig, wallet.scrypt).then((account) => {
+      if (account.address !== entry.address) {
+        throw new Error(`The key of ${entry.address} belongs to ${account.address}`)
+      }
+      return accounts.concat(account)
+    })
+  }), Promise.resolve([]))
+}
@@ -0,0 +1,236 @@
+import Account from './account'
+import { queryRPC } from './api'
+import { toSigner } from './signer'
+import { getScriptHashFromAddress, toAddress } from './wallet'
+import * as tx from './transactions/index.js'
+import { hexstring2ab, reverseHex } from './utils'
+
+const TX_TYPES = {
+  0: 'Miner',
+  1: 'Issue',
+  2: 'Claim',
+  32: 'Enrollment',
+  64: 'Register',
+  128: 'Contract',
+  144: 'State',
+  208: 'Publish',
+  209: 'Invocation'
+}
+
+/**
+ * @typedef SpentCoin
+ * @property {string} prevHash - Transaction hash of the coin
+ * @property {number} prevIndex - Index of the coin in its transaction
+ * @property {string} assetId - The asset of the coin
+ * @property {number} value - The value of the coin
+ */
+
+/**
+ * @typedef UnsignedTransaction
+ * @property {string} net - The network the transaction is meant for
+ * @property {string} transaction - The unsigned transaction, hex encoded
+ * @property {string} address - The address that has to sign the transaction
+ * @property {SpentCoin[]} inputs - The coins spent by the transaction, to review the fees offline
+ * @property {string[]} previousTransactions - The transactions the inputs spend from, hex encoded, to verify the
+ *   spent coins offline. Added by addPreviousTransactions
+ * @property {string|null} description - What the transaction does
+ */
+
+/**
+ * @typedef TransactionSummary
+ * @property {string} type - The transaction type
+ * @property {string} hash - The transaction hash
+ * @property {string} from - The address that signs the transaction
+ * @property {Array<{address: string, asset: string, value: number, change: boolean}>} outputs - The outputs, change
+ *   being true for outputs back to the signer
+ * @property {{system: number, network: number, verified: boolean}|null} fees - The GAS spent on fees, null if a
+ *   spent coin is unknown. verified is false if the network fee was computed from the values in inputs rather than
+ *   from previousTransactions
+ * @property {number} claimed - The GAS claimed
+ * @property {string|null} script - The script of an invocation
+ * @property {string|null} description - What the transaction does
+ */
+
+/**
+ * Packs an unsigned transaction with the metadata the signer needs to review it offline.
+ * @param {string} net - 'MainNet' or 'TestNet' or custom URL
+ * @param {Transaction} transaction - The unsigned transaction
+ * @param {Balance} balances - The balance the inputs of the transaction were selected from
+ * @param {string} [description] - What the transaction does
+ * @return {UnsignedTransaction} The unsigned transaction
+ */
+export const createUnsignedTransaction = (net, transaction, balances, description = null) => {
+  const coins = {}
+  Object.keys(balances).forEach((symbol) => {
+    const unspent = balances[symbol] && balances[symbol].unspent
+    if (!Array.isArray(unspent)) return
+    unspent.forEach((coin) => {
+      coins[`${coin.txid}:${coin.index}`] = { assetId: tx.ASSETS[symbol], value: coin.value }
+    })
+  })
+  return {
+    net,
+    transaction: tx.serializeTransaction(transaction, false),
+    address: balances.address,
+    inputs: transaction.inputs
+      .filter((input) => coins[`${input.prevHash}:${input.prevIndex}`])
+      .map((input) => Object.assign({}, input, coins[`${input.prevHash}:${input.prevIndex}`])),
+    previousTransactions: [],
+    description
+  }
+}
+
+/**
+ * Adds the transactions the inputs of an unsigned transaction spend from, for the signer to verify the spent coins
+ * and the fees offline.
+ * @param {UnsignedTransaction} unsigned - The unsigned transaction
+ * @param {string} [net] - 'MainNet' or 'TestNet' or custom URL, defaults to the network of the unsigned transaction
+ * @return {Promise<UnsignedTransaction>} The unsigned transaction with previousTransactions
+ */
+export const addPreviousTransactions = (unsigned, net = unsigned.net) => {
+  const hashes = tx.deserializeTransaction(unsigned.transaction).inputs
+    .map((input) => input.prevHash)
+    .filter((hash, i, all) => all.indexOf(hash) === i)
+  return Promise.all(hashes.map((hash) => queryRPC(net, 'getrawtransaction', [hash, 0]).then((res) => {
+    if (!res.result) throw new Error(`Transaction ${hash} not found`)
+    return res.result
+  }))).then((previousTransactions) => Object.assign({}, unsigned, { previousTransactions }))
+}
+
+/**
+ * Writes an unsigned transaction to a string, to carry it to the offline machine.
+ * @param {UnsignedTransaction} unsigned - The unsigned transaction
+ * @return {string} The unsigned transaction as JSON
+ */
+export const writeUnsignedTransaction = (unsigned) => JSON.stringify(unsigned, null, 2)
+
+/**
+ * Reads an unsigned transaction written by writeUnsignedTransaction. Bare transaction hex is accepted too, but
+ * lacks the metadata to review fees and the signer's address.
+ * @param {string} data - The unsigned transaction as JSON, or hex encoded
+ * @return {UnsignedTransaction} The unsigned transaction
+ */
+export const readUnsignedTransaction = (data) => {
+  if (/^([0-9a-f]{2})+$/i.test(data)) {
+    return { net: null, transaction: data.toLowerCase(), address: null, inputs: [], previousTransactions: [], description: null }
+  }
+  const unsigned = JSON.parse(data)
+  if (!unsigned || typeof unsigned.transaction !== 'string' || !Array.isArray(unsigned.inputs)) {
+    throw new Error('Invalid unsigned transaction')
+  }
+  return {
+    net: unsigned.net || null,
+    transaction: unsigned.transaction,
+    address: unsigned.address || null,
+    inputs: unsigned.inputs,
+    previousTransactions: unsigned.previousTransactions || [],
+    description: unsigned.description || null
+  }
+}
+
+const sumFixed8 = (coins, assetId) => coins
+  .filter((coin) => coin.assetId === assetId)
+  .reduce((sum, coin) => sum + Math.round(coin.value * 100000000), 0)
+
+// the outputs of transactions by `${hash}:${index}`, with each hash computed from the transaction itself
+const getOutputsByCoin = (transactions) => {
+  const outputs = {}
+  transactions.forEach((hex) => {
+    const transaction = tx.deserializeTransaction(hex)
+    const hash = tx.getTransactionHash(transaction)
+    transaction.outputs.forEach((output, index) => {
+      outputs[`${hash}:${index}`] = output
+    })
+  })
+  return outputs
+}
+
+/**
+ * Summarizes what an unsigned transaction sends and what it costs, for the signer to review.
+ * The spent coins are read from previousTransactions if all of them are there, so the fees are verified. Otherwise
+ * they are taken from inputs, as reported by the machine that created the transaction, and the fees are unverified.
+ * @param {UnsignedTransaction} unsigned - The unsigned transaction
+ * @return {TransactionSummary} The summary
+ */
+export const summarizeTransaction = (unsigned) => {
+  const transaction = tx.deserializeTransaction(unsigned.transaction)
+  const fromScriptHash = unsigned.address ? getScriptHashFromAddress(unsigned.address) : null
+  const previousOutputs = getOutputsByCoin(unsigned.previousTransactions || [])
+  const verified = transaction.inputs.every((input) => previousOutputs[`${input.prevHash}:${input.prevIndex}`])
+  const known = verified || transaction.inputs.every((input) => unsigned.inputs.some((coin) =>
+    coin.prevHash === input.prevHash && coin.prevIndex === input.prevIndex))
+  const spent = verified
+    ? transaction.inputs.map((input) => previousOutputs[`${input.prevHash}:${input.prevIndex}`])
+    : unsigned.inputs
+  const gasIn = sumFixed8(spent, tx.ASSETS.GAS)
+  const gasOut = sumFixed8(transaction.outputs, tx.ASSETS.GAS)
+  const system = Math.round((transaction.gas || 0) * 100000000)
+  const claimed = transaction.type === 2 ? gasOut - gasIn : 0
+  return {
+    type: TX_TYPES[transaction.type] || `0x${transaction.type.toString(16)}`,
+    hash: tx.getTransactionHash(transaction),
+    from: unsigned.address,
+    outputs: transaction.outputs.map((output) => ({
+      address: toAddress(hexstring2ab(reverseHex(output.scriptHash))),
+      asset: tx.ASSETS[output.assetId] || output.assetId,
+      value: output.value,
+      change: output.scriptHash === fromScriptHash
+    })),
+    fees: known ? { system: system / 100000000, network: (gasIn + claimed - gasOut - system) / 100000000, verified } : null,
+    claimed: claimed / 100000000,
+    script: transaction.script || null,
+    description: unsigned.description
+  }
+}
+
+/**
+ * Formats a summary as text, one line per output and fee.
+ * @param {TransactionSummary} summary - The summary
+ * @return {string} The summary as text
+ */
+export const formatTransactionSummary = (summary) => {
+  const lines = [`${summary.type} transaction ${summary.hash}${summary.from ? ` from ${summary.from}` : ''}`]
+  if (summary.description) lines.push(`  ${summary.description}`)
+  if (summary.claimed) lines.push(`  Claim ${summary.claimed} GAS`)
+  summary.outputs.forEach((output) => {
+    lines.push(`  Send ${output.value} ${output.asset} to ${output.address}${output.change ? ' (change)' : ''}`)
+  })
+  if (summary.fees) {
+    lines.push(`  System fee: ${summary.fees.system} GAS`)
+    lines.push(`  Network fee: ${summary.fees.network} GAS${summary.fees.verified ? '' : ' (unverified, the spent coins were not checked)'}`)
+  } else {
+    lines.push('  Fees: unknown, the spent coins are missing')
+  }
+  return lines.join('\n')
+}
+
+/**
+ * Signs an unsigned transaction. Needs nothing but the key or a signer, so it can run on an offline machine.
+ * @param {UnsignedTransaction} unsigned - The unsigned transaction
+ * @param {string|Signer} key - The WIF or private key of the signer, or a signer
+ * @param {ChainLineConfig} [config] - The account kind and wallet contract revision of the signer
+ * @return {Promise<string>} The signed transaction, hex encoded
+ */
+export const signUnsignedTransaction = (unsigned, key, config) => {
+  const signer = toSigner(key)
+  return signer.getPublicKey().then((publicKey) => {
+    const account = new Account(publicKey, config)
+    if (unsigned.address && account.address !== unsigned.address) {
+      throw new Error(`The key belongs to ${account.address}, not to ${unsigned.address}`)
+    }
+    const transaction = tx.deserializeTransaction(unsigned.transaction)
+    return tx.signTransactionWith(transaction, signer, unsigned.transaction, config)
+  }).then((transaction) => tx.serializeTransaction(transaction))
+}
+
+/**
+ * Broadcasts a signed transaction.
+ * @param {string} net - 'MainNet' or 'TestNet' or custom URL
+ * @param {string} signedTx - The signed transaction, hex encoded
+ * @return {Promise<Response>} RPC Response, with the hash of the transaction
+ */
+export const broadcastTransaction = (net, signedTx) => {
+  const hash = tx.getTransactionHash(tx.deserializeTransaction(signedTx))
+  return queryRPC(net, 'sendrawtransaction', [signedTx], 4)
+    .then((result) => Object.assign({}, result, { hash }))
+}
@@ -0,0 +1,156 @@
+import { buildScript } from './scriptBuilder.js'
+import { parseVMStack } from './stack.js'
+import { ab2hexstring, stringToBytes } from '../utils.js'
+import { InvokeFaultError } from '../errors.js'
+
+/**
+ * @typedef ContractABI
+ * @property {string} hash - The contract's script hash (BE)
+ * @property {ContractFunction[]} functions
+ */
+
+/**
+ * @typedef ContractFunction
+ * @property {string} name - The operation name
+ * @property {{name: string, type: string}[]} parameters - Parameter names and types, in order
+ * @property {string} returnType - The return type. May name a custom decoder.
+ */
+
+const isHex = (str, bytes) =>
+  typeof str === 'string' && /^([0-9a-f]{2})*$/i.test(str) && (bytes === undefined || str.length === bytes * 2)
+
+/**
+ * Validates and converts a parameter into the value expected by ScriptBuilder.emitPush.
+ */
+const paramEncoders = {
+  Boolean: (value) => {
+    if (typeof value !== 'boolean') throw new TypeError('Expected a boolean')
+    return value
+  },
+  Integer: (value) => {
+    if (!Number.isSafeInteger(value)) throw new TypeError('Expected a safe integer')
+    return value
+  },
+  ByteArray: (value) => {
+    if (!isHex(value)) throw new TypeError('Expected a hexstring')
+    return value
+  },
+  String: (value) => {
+    if (typeof value !== 'string') throw new TypeError('Expected a string')
+    return ab2hexstring(stringToBytes(value))
+  },
+  Hash160: (value) => {
+    if (!isHex(value, 20)) throw new TypeError('Expected a 20 byte hexstring')
+    return value
+  },
+  Hash256: (value) => {
+    if (!isHex(value, 32)) throw new TypeError('Expected a 32 byte hexstring')
+    return value
+  },
+  PublicKey: (value) => {
+    if (!isHex(value, 33)) throw new TypeError('Expected an encoded public key')
+    return value
+  }
+}
+
+/**
+ * Maps return types to parseVMStack decoding hints.
+ */
+const returnTypeHints = {
+  Boolean: 'boolean',
+  Integer: 'int',
+  Fixed8: 'fixed8',
+  ByteArray: 'hex',
+  String: 'string',
+  Hash160: 'hash160',
+  Hash256: 'hex'
+}
+
+/**
+ * Validates and encodes the arguments of a call to a contract function.
+ * @param {ContractFunction} fn
+ * @param {Array} args
+ * @return {Array} The encoded arguments
+ */
+export const encodeArgs = (fn, args = []) => {
+  if (args.length !== fn.parameters.length) {
+    throw new TypeError(`${fn.name} expects ${fn.parameters.length} arguments but got ${args.length}`)
+  }
+  return fn.parameters.map(({ name, type }, i) => {
+    const encoder = paramEncoders[type]
+    if (!encoder) throw new TypeError(`${fn.name}: unknown parameter type ${type}`)
+    try {
+      return encoder(args[i])
+    } catch (err) {
+      throw new TypeError(`${fn.name}: invalid ${name} (${type}): ${err.message}`)
+    }
+  })
+}
+
+/**
+ * Decodes the return value of a contract function.
+ * @param {ContractFunction} fn
+ * @param {{type: string, value: any}} stackItem
+ * @param {Object} [decoders] - Custom decoders by return type, called with the value as hex
+ * @return {any}
+ */
+export const decodeReturn = (fn, stackItem, decoders = {}) => {
+  const { returnType } = fn
+  if (returnType === 'Void' || !stackItem) return undefined
+  if (decoders[returnType]) return decoders[returnType](parseVMStack([stackItem], 'hex')[0])
+  const hint = returnTypeHints[returnType]
+  if (!hint) throw new TypeError(`${fn.name}: unknown return type ${returnType}`)
+  return parseVMStack([stackItem], hint)[0]
+}
+
+/**
+ * Generates typed functions for every function described by a contract ABI.
+ * testInvoke functions run locally and resolve with the decoded return value, or reject with an InvokeFaultError
+ * if the invoke does not HALT.
+ * invoke functions pass the encoded arguments on to the given invoke function.
+ * @param {ContractABI} abi
+ * @param {Object} options
+ * @param {function(string, string, string, Array, Object): Promise} options.invoke - Called with (net, wif, operation, args, options)
+ * @param {function(string, string): Promise} options.testInvoke - Called with (net, script), resolves with the unparsed invokescript result
+ * @param {Object} [options.decoders] - Custom decoders by return type, called with the value as hex
+ * @return {{abi: ContractABI, testInvoke: Object, testInvokeMany: function, invoke: Object}}
+ */
+export const createContractInterface = (abi, { invoke, testInvoke, decoders = {} }) => {
+  const functions = abi.functions.reduce((fns, fn) => {
+    fns[fn.name] = fn
+    return fns
+  }, {})
+  const getFunction = (name) => {
+    if (!functions[name]) throw new Error(`Unknown operation: ${name}`)
+    return functions[name]
+  }
+
+  /**
+   * Runs several functions in one local invoke.
+   * @param {string} net - 'MainNet' or 'TestNet' or custom URL
+   * @param {Array<[string, Array]>} calls - Operation names and their arguments
+   * @return {Promise<Array>} The decoded return values, in order. Rejects with an InvokeFaultError if the invoke faults
+   */
+  const testInvokeMany = async (net, calls) => {
+    const script = calls.map(([name, args]) => buildScript({
+      scriptHash: abi.hash,
+      operation: name,
+      args: encodeArgs(getFunction(name), args)
+    })).join('')
+    const res = await testInvoke(net, script)
+    if (!res.state || !res.state.startsWith('HALT')) {
+      throw new InvokeFaultError(`Invoke of ${calls.map(([name]) => name).join(', ')} failed with state ${res.state}`, res.state)
+    }
+    return calls.map(([name], i) => decodeReturn(getFunction(name), res.stack[i], decoders))
+  }
+
+  const testInvokeFns = {}
+  const invokeFns = {}
+  abi.functions.forEach((fn) => {
+    testInvokeFns[fn.name] = (net, ...args) =>
+      testInvokeMany(net, [[fn.name, args]]).then(([result]) => result)
+    invokeFns[fn.name] = (net, wif, args, options) =>
+      Promise.resolve().then(() => invoke(net, wif, fn.name, encodeArgs(fn, args), options))
+  })
+  return { abi, testInvoke: testInvokeFns, testInvokeMany, invoke: invokeFns }
+}
@@ -0,0 +1,99 @@
+import { hexstring2ab, ab2str, num2hexstring, reverseHex } from '../utils.js'
+
+/**
+ * Reads a VM integer from its ByteArray form (little endian, two's complement).
+ * @param {string} hex
+ * @return {number}
+ */
+const parseVMInt = (hex) => {
+  if (!hex) return 0
+  const be = reverseHex(hex)
+  const unsigned = parseInt(be, 16)
+  // the sign bit is the highest bit of the last byte
+  return parseInt(be.substr(0, 1), 16) >= 8 ? unsigned - Math.pow(2, hex.length * 4) : unsigned
+}
+
+/**
+ * Writes a number in the ByteArray form of a VM integer (little endian, two's complement).
+ * @param {number} num
+ * @return {string}
+ */
+const serializeVMInt = (num) => {
+  if (num === 0) return ''
+  let bytes = 1
+  while (num < -Math.pow(2, bytes * 8 - 1) || num >= Math.pow(2, bytes * 8 - 1)) bytes++
+  const unsigned = num < 0 ? Math.pow(2, bytes * 8) + num : num
+  return num2hexstring(unsigned, bytes * 2, true)
+}
+
+/**
+ * Decodes a single VM stack item with a decoding hint.
+ * @param {{type: string, value: any}} item - The stack item
+ * @param {string} hint - One of 'hex', 'string', 'int', 'fixed8', 'hash160', 'boolean' or 'raw'
+ * @return {any} The decoded value
+ */
+const decodeVMStackItem = (item, hint) => {
+  if (hint === 'raw') return item
+  const isBytes = item.type === 'ByteArray'
+  switch (hint) {
+    case 'hex':
+      return isBytes ? item.value : serializeVMInt(parseVMStackItem(item, 'int'))
+    case 'string':
+      return isBytes ? ab2str(hexstring2ab(item.value)) : String(parseVMStackItem(item))
+    case 'int':
+      if (isBytes) return parseVMInt(item.value)
+      if (item.type === 'Boolean') return parseVMStackItem(item) ? 1 : 0
+      return parseInt(item.value, 10)
+    case 'fixed8':
+      return parseVMStackItem(item, 'int') / 100000000
+    case 'hash160':
+      return reverseHex(parseVMStackItem(item, 'hex'))
+    case 'boolean':
+      if (isBytes) return /[^0]/.test(item.value)
+      if (item.type === 'Boolean') return item.value === true || item.value === 'True' || item.value === 'true'
+      return parseInt(item.value, 10) !== 0
+    default:
+      throw new Error(`Unknown hint: ${hint}`)
+  }
+}
+
+/**
+ * Parses a single VM stack item, recursing into Arrays, Structs and Maps.
+ * @param {{type: string, value: any}} item - The stack item
+ * @param {string|Array} [hint] - A decoding hint, or an array of hints for the members of an Array or Struct
+ * @return {any} The parsed value
+ */
+const parseVMStackItem = (item, hint) => {
+  if (typeof hint === 'string') {
+    if (hint === 'raw' || (item.type !== 'Array' && item.type !== 'Struct')) return decodeVMStackItem(item, hint)
+  }
+  switch (item.type) {
+    case 'ByteArray':
+      return ab2str(hexstring2ab(item.value))
+    case 'Integer':
+      return parseInt(item.value, 10)
+    case 'Boolean':
+      return decodeVMStackItem(item, 'boolean')
+    case 'Array':
+    case 'Struct':
+      return parseVMStack(item.value, hint)
+    case 'Map':
+      return item.value.map(({ key, value }) => ({ key: parseVMStackItem(key), value: parseVMStackItem(value) }))
+    case 'InteropInterface':
+      return item.value
+    default:
+      throw Error(`Unknown type: ${item.type}`)
+  }
+}
+
+/**
+ * Parses the VM Stack and returns human readable values.
+ * Without hints, ByteArrays are parsed as strings and Integers as numbers.
+ * @param {{type:string, value: any}[]} stack - VM Output
+ * @param {string|Array} [hints] - A decoding hint for every item ('hex', 'string', 'int', 'fixed8', 'hash160', 'boolean' or 'raw'),
+ *   or an array of them, one per item. Nested arrays apply to the members of Arrays and Structs.
+ * @return {any[]} Array of results
+ */
+export const parseVMStack = (stack, hints) => {
+  return stack.map((item, i) => parseVMStackItem(item, Array.isArray(hints) ? hints[i] : hints))
+}
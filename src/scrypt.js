@@ -0,0 +1,249 @@
+/* global Worker, Blob, URL */
+import CryptoJS from 'crypto-js'
+import jsScrypt from 'js-scrypt'
+
+/**
+ * PBKDF2-HMAC-SHA256 with a single iteration, the key stretching scrypt starts and ends with.
+ * @param {Uint8Array} password - The password
+ * @param {Uint8Array} salt - The salt
+ * @param {number} dkLen - The length of the derived key in bytes
+ * @return {Uint8Array} The derived key
+ */
+const pbkdf2 = (password, salt, dkLen) => {
+  const key = CryptoJS.PBKDF2(
+    CryptoJS.enc.Hex.parse(Buffer.from(password).toString('hex')),
+    CryptoJS.enc.Hex.parse(Buffer.from(salt).toString('hex')),
+    { keySize: dkLen / 4, iterations: 1, hasher: CryptoJS.algo.SHA256 }
+  )
+  return new Uint8Array(Buffer.from(key.toString(CryptoJS.enc.Hex), 'hex'))
+}
+
+/**
+ * The memory-hard part of scrypt (RFC 7914 scryptROMix over each of the p blocks). It references nothing outside of
+ * its body, so its source can be loaded into a Web Worker. Written in ES5 to stay free of transpiler helpers.
+ * @param {Uint8Array} B - The output of the first PBKDF2, p * 128 * r bytes long. Mixed in place
+ * @param {number} N - CPU/memory cost, a power of 2
+ * @param {number} r - Block size
+ * @param {number} p - Parallelization
+ * @param {function(number)} [onProgress] - Called with the fraction of work done, from 0 to 1
+ * @return {Uint8Array} B
+ */
+const romix = function (B, N, r, p, onProgress) {
+  function R (a, b) {
+    return (a << b) | (a >>> (32 - b))
+  }
+
+  function salsa208 (B, x) {
+    var i
+    for (i = 0; i < 16; i++) x[i] = B[i]
+    for (i = 0; i < 8; i += 2) {
+      x[4] ^= R(x[0] + x[12], 7); x[8] ^= R(x[4] + x[0], 9); x[12] ^= R(x[8] + x[4], 13); x[0] ^= R(x[12] + x[8], 18)
+      x[9] ^= R(x[5] + x[1], 7); x[13] ^= R(x[9] + x[5], 9); x[1] ^= R(x[13] + x[9], 13); x[5] ^= R(x[1] + x[13], 18)
+      x[14] ^= R(x[10] + x[6], 7); x[2] ^= R(x[14] + x[10], 9); x[6] ^= R(x[2] + x[14], 13); x[10] ^= R(x[6] + x[2], 18)
+      x[3] ^= R(x[15] + x[11], 7); x[7] ^= R(x[3] + x[15], 9); x[11] ^= R(x[7] + x[3], 13); x[15] ^= R(x[11] + x[7], 18)
+      x[1] ^= R(x[0] + x[3], 7); x[2] ^= R(x[1] + x[0], 9); x[3] ^= R(x[2] + x[1], 13); x[0] ^= R(x[3] + x[2], 18)
+      x[6] ^= R(x[5] + x[4], 7); x[7] ^= R(x[6] + x[5], 9); x[4] ^= R(x[7] + x[6], 13); x[5] ^= R(x[4] + x[7], 18)
+      x[11] ^= R(x[10] + x[9], 7); x[8] ^= R(x[11] + x[10], 9); x[9] ^= R(x[8] + x[11], 13); x[10] ^= R(x[9] + x[8], 18)
+      x[12] ^= R(x[15] + x[14], 7); x[13] ^= R(x[12] + x[15], 9); x[14] ^= R(x[13] + x[12], 13); x[15] ^= R(x[14] + x[13], 18)
+    }
+    for (i = 0; i < 16; i++) B[i] = (B[i] + x[i]) | 0
+  }
+
+  function blockMix (B, Y, X, x) {
+    var i, k
+    for (k = 0; k < 16; k++) X[k] = B[(2 * r - 1) * 16 + k]
+    for (i = 0; i < 2 * r; i++) {
+      for (k = 0; k < 16; k++) X[k] ^= B[i * 16 + k]
+      salsa208(X, x)
+      for (k = 0; k < 16; k++) Y[i * 16 + k] = X[k]
+    }
+    for (i = 0; i < r; i++) {
+      for (k = 0; k < 16; k++) {
+        B[i * 16 + k] = Y[2 * i * 16 + k]
+        B[(r + i) * 16 + k] = Y[(2 * i + 1) * 16 + k]
+      }
+    }
+  }
+
+  var words = 32 * r
+  var total = 2 * N * p
+  var reportEvery = Math.max(1, Math.floor(total / 100))
+  var done = 0
+  var X = new Int32Array(words)
+  var V = new Int32Array(words * N)
+  var Y = new Int32Array(words)
+  var scratch = new Int32Array(16)
+  var scratch2 = new Int32Array(16)
+  var i, j, k, offset
+
+  function step () {
+    done++
+    if (onProgress && done % reportEvery === 0 && done < total) onProgress(done / total)
+  }
+
+  for (i = 0; i < p; i++) {
+    offset = i * 128 * r
+    for (k = 0; k < words; k++) {
+      X[k] = B[offset + k * 4] | (B[offset + k * 4 + 1] << 8) | (B[offset + k * 4 + 2] << 16) | (B[offset + k * 4 + 3] << 24)
+    }
+    for (j = 0; j < N; j++) {
+      V.set(X, j * words)
+      blockMix(X, Y, scratch, scratch2)
+      step()
+    }
+    for (j = 0; j < N; j++) {
+      var v = (X[(2 * r - 1) * 16] & (N - 1)) * words
+      for (k = 0; k < words; k++) X[k] ^= V[v + k]
+      blockMix(X, Y, scratch, scratch2)
+      step()
+    }
+    for (k = 0; k < words; k++) {
+      B[offset + k * 4] = X[k] & 0xff
+      B[offset + k * 4 + 1] = (X[k] >>> 8) & 0xff
+      B[offset + k * 4 + 2] = (X[k] >>> 16) & 0xff
+      B[offset + k * 4 + 3] = (X[k] >>> 24) & 0xff
+    }
+  }
+  return B
+}
+
+/**
+ * Derives a key with scrypt (RFC 7914), blocking until done.
+ * @param {Uint8Array} password - The password
+ * @param {Uint8Array} salt - The salt
+ * @param {number} N - CPU/memory cost, a power of 2
+ * @param {number} r - Block size
+ * @param {number} p - Parallelization
+ * @param {number} dkLen - The length of the derived key in bytes
+ * @param {function(number)} [onProgress] - Called with the fraction of work done, from 0 to 1
+ * @return {Uint8Array} The derived key
+ */
+export const scryptSync = (password, salt, N, r, p, dkLen, onProgress) =>
+  pbkdf2(password, romix(pbkdf2(password, salt, p * 128 * r), N, r, p, onProgress), dkLen)
+
+const WORKER_SOURCE = `
+var romix = ${romix.toString()};
+self.onmessage = function (event) {
+  var d = event.data;
+  var B = romix(d.B, d.N, d.r, d.p, function (progress) {
+    self.postMessage({ progress: progress });
+  });
+  self.postMessage({ B: B });
+};
+`
+
+const NODE_WORKER_SOURCE = `
+var parentPort = require('worker_threads').parentPort;
+var romix = ${romix.toString()};
+parentPort.once('message', function (d) {
+  var B = romix(d.B, d.N, d.r, d.p, function (progress) {
+    parentPort.postMessage({ progress: progress });
+  });
+  parentPort.postMessage({ B: B });
+});
+`
+
+const canUseWorker = () =>
+  typeof Worker !== 'undefined' && typeof Blob !== 'undefined' &&
+  typeof URL !== 'undefined' && typeof URL.createObjectURL === 'function'
+
+const isNode = () => typeof process !== 'undefined' && !!process.versions && !!process.versions.node
+
+/**
+ * Loads a Node builtin through module.require, which bundlers leave alone, so no browser polyfill is bundled for it.
+ * @param {string} id - The module name
+ * @return {Object|null} The module, or null outside of Node or if it is not available
+ */
+const requireNodeModule = (id) => {
+  if (!isNode() || typeof module === 'undefined' || typeof module.require !== 'function') return null
+  try {
+    return module.require(id)
+  } catch (err) {
+    return null
+  }
+}
+
+const getNodeCrypto = () => {
+  const crypto = requireNodeModule('crypto')
+  return crypto && typeof crypto.scrypt === 'function' ? crypto : null
+}
+
+const scryptInWorker = (password, salt, { n, r, p }, dkLen, onProgress) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(new Blob([WORKER_SOURCE], { type: 'application/javascript' }))
+  const worker = new Worker(url)
+  const finish = () => {
+    worker.terminate()
+    URL.revokeObjectURL(url)
+  }
+  worker.onmessage = (event) => {
+    if (event.data.B) {
+      finish()
+      resolve(Buffer.from(pbkdf2(password, event.data.B, dkLen)))
+    } else if (onProgress) {
+      onProgress(event.data.progress)
+    }
+  }
+  worker.onerror = (event) => {
+    finish()
+    reject(new Error(event.message || 'scrypt worker failed'))
+  }
+  worker.postMessage({ B: pbkdf2(password, salt, p * 128 * r), N: n, r, p })
+})
+
+const scryptInNode = (crypto, password, salt, { n, r, p }, dkLen) => new Promise((resolve, reject) => {
+  const maxmem = Math.max(32 * 1024 * 1024, 256 * n * r)
+  crypto.scrypt(password, salt, dkLen, { N: n, r, p, maxmem }, (err, key) => err ? reject(err) : resolve(key))
+})
+
+const scryptInNodeWorker = (workerThreads, password, salt, { n, r, p }, dkLen, onProgress) => new Promise((resolve, reject) => {
+  const worker = new workerThreads.Worker(NODE_WORKER_SOURCE, { eval: true })
+  worker.on('message', (data) => {
+    if (data.B) {
+      worker.terminate()
+      resolve(Buffer.from(pbkdf2(password, data.B, dkLen)))
+    } else {
+      onProgress(data.progress)
+    }
+  })
+  worker.on('error', reject)
+  worker.postMessage({ B: pbkdf2(password, salt, p * 128 * r), N: n, r, p })
+})
+
+const scryptInChildProcess = (password, salt, { n, r, p }, dkLen) => new Promise((resolve, reject) => {
+  jsScrypt.hash(password, salt, { cost: n, blockSize: r, parallel: p, size: dkLen }, (err, key) => err ? reject(err) : resolve(key))
+})
+
+/**
+ * Derives a key with scrypt without blocking: in a Web Worker in the browser and off the event loop in Node.
+ * Progress is reported continuously from a Web Worker, from a worker thread in Node and where neither is available.
+ * When onProgress is given, Node runs the pure JS implementation in a worker thread, which is slower than the
+ * crypto.scrypt used otherwise. On Node versions without worker threads (before 10.5, eg. 7.10) the key is derived
+ * in js-scrypt child processes and progress is only reported once, on completion.
+ * @param {Buffer} password - The password
+ * @param {Buffer} salt - The salt
+ * @param {ScryptParams} params - The scrypt parameters
+ * @param {number} dkLen - The length of the derived key in bytes
+ * @param {function(number)} [onProgress] - Called with the fraction of work done, from 0 to 1
+ * @return {Promise<Buffer>} The derived key
+ */
+export const scryptAsync = (password, salt, params, dkLen, onProgress) => {
+  let derivation
+  const workerThreads = onProgress ? requireNodeModule('worker_threads') : null
+  const crypto = getNodeCrypto()
+  if (workerThreads) {
+    derivation = scryptInNodeWorker(workerThreads, password, salt, params, dkLen, onProgress)
+  } else if (crypto) {
+    derivation = scryptInNode(crypto, password, salt, params, dkLen)
+  } else if (canUseWorker()) {
+    derivation = scryptInWorker(password, salt, params, dkLen, onProgress)
+  } else if (isNode()) {
+    derivation = scryptInChildProcess(password, salt, params, dkLen)
+  } else {
+    derivation = Promise.resolve().then(() =>
+      Buffer.from(scryptSync(password, salt, params.n, params.r, params.p, dkLen, onProgress)))
+  }
+  return derivation.then((key) => {
+    if (onProgress) onProgress(1)
+    return key
+  })
+}
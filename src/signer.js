@@ -0,0 +1,41 @@
+import Account from './account'
+import { signatureData } from './wallet'
+
+/**
+ * Signs on behalf of an account without handing its private key to the library, e.g. a hardware wallet or a KMS.
+ * @typedef Signer
+ * @property {function(): Promise<string>} getPublicKey - Resolves with the public key in encoded form
+ * @property {function(string): Promise<string>} sign - Signs hex encoded data the way signatureData does (ECDSA p256
+ *   over its SHA-256 hash) and resolves with the signature (r and s), hex encoded
+ */
+
+/**
+ * Creates a signer that keeps a key in memory.
+ * @param {string} key - A WIF or private key
+ * @return {Signer} The signer
+ */
+export const createWIFSigner = (key) => {
+  const account = new Account(key)
+  const privateKey = account.privateKey
+  const publicKey = account.publicKey
+  return {
+    getPublicKey: () => Promise.resolve(publicKey),
+    sign: (data) => Promise.resolve(signatureData(data, privateKey))
+  }
+}
+
+/**
+ * Checks if an object implements the Signer interface.
+ * @param {*} signer - The object
+ * @return {boolean} True if it is a signer
+ */
+export const isSigner = (signer) => {
+  return !!signer && typeof signer.getPublicKey === 'function' && typeof signer.sign === 'function'
+}
+
+/**
+ * Gets a signer for functions that accept either a signer or a key.
+ * @param {Signer|string} signerOrKey - A signer, or a WIF or private key to create an in-memory signer for
+ * @return {Signer} The signer
+ */
+export const toSigner = (signerOrKey) => isSigner(signerOrKey) ? signerOrKey : createWIFSigner(signerOrKey)
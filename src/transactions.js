@@ -6,7 +6,7 @@ import {
   reverseHex,
   numStoreInMemory
 } from './utils'
-import { verifyAddress, createChainLineWalletScript, getHash } from './wallet'
+import { verifyAddress, createVerificationScript, getHash } from './wallet'
 
 const BASE58 = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz'
 let base58 = require('base-x')(BASE58)
@@ -17,11 +17,12 @@ let base58 = require('base-x')(BASE58)
  * @param {string} publicKeyEncoded - Encoded public key.
  * @param {string} toAddress - Redundant param.
  * @param {number|string} amount - The amount of GAS to claim.
+ * @param {ChainLineConfig} [config] - The account kind and wallet contract revision the claim is sent to
  * @returns {string} A serialised transaction ready to be signed with the corresponding private key of publicKeyEncoded.
  */
 // TODO: Remove toAddress as it is redundant (not used in code).
-export const claimTransaction = (claims, publicKeyEncoded, toAddress, amount) => {
-  let signatureScript = createChainLineWalletScript(publicKeyEncoded)
+export const claimTransaction = (claims, publicKeyEncoded, toAddress, amount, config) => {
+  let signatureScript = createVerificationScript(publicKeyEncoded, config)
   let myProgramHash = getHash(signatureScript)
 
   // Type = ClaimTransaction
@@ -158,16 +159,17 @@ export const getTxHash = (serializedTx) => {
  * @param {string} publicKeyEncoded - The encoded public key of the address from which the assets are coming from.
  * @param {string} toAddress - The address which the assets are going to.
  * @param {number|string} amount - The amount of assets to send.
+ * @param {ChainLineConfig} [config] - The account kind and wallet contract revision change is sent to
  * @returns {string} A serialised transaction ready to be signed with the corresponding private key of publicKeyEncoded.
  */
-export const transferTransaction = (coins, publicKeyEncoded, toAddress, amount) => {
+export const transferTransaction = (coins, publicKeyEncoded, toAddress, amount, config) => {
   if (!verifyAddress(toAddress)) {
     throw new Error('Invalid toAddress')
   }
   let programHash = base58.decode(toAddress)
   programHash = programHash.slice(1, 21)
 
-  let signatureScript = createChainLineWalletScript(publicKeyEncoded)
+  let signatureScript = createVerificationScript(publicKeyEncoded, config)
   let myProgramHash = getHash(signatureScript)
 
   // Construct Inputs
@@ -257,93 +259,3 @@ export const transferTransaction = (coins, publicKeyEncoded, toAddress, amount)
   }
   return ab2hexstring(data)
 }
-// TODO: We many not need to keep this function in the API
-// for now, leaving as reference
-// export const issueTransaction = ($issueAssetID, $issueAmount, $publicKeyEncoded) => {
-//   let signatureScript = createChainLineWalletScript($publicKeyEncoded)
-//   // console.log( signatureScript.toString('hex') );
-
-//   let myProgramHash = getHash(signatureScript)
-//   // console.log( myProgramHash.toString() );
-
-//   /// /////////////////////////////////////////////////////////////////////
-//   // data
-//   let data = '01'
-
-//   // version
-//   data = data + '00'
-
-//   // attribute
-//   data = data + '00'
-
-//   // Inputs
-//   data = data + '00'
-
-//   // Outputs len
-//   data = data + '01'
-
-//   // Outputs[0] AssetID
-//   data = data + $issueAssetID
-
-//   // Outputs[0] Amount
-//   const num1 = $issueAmount * 100000000
-//   const num1str = numStoreInMemory(num1.toString(16), 16)
-//   data = data + num1str
-
-//   // Outputs[0] ProgramHash
-//   data = data + myProgramHash.toString()
-
-//   // console.log(data);
-
-//   return data
-// }
-
-// TODO: we probably don't need to keep this function in the API, people aren't going to be using the wallet to register new assets
-// for now, leaving as reference
-// export const registerTransaction = ($assetName, $assetAmount, $publicKeyEncoded) => {
-//   let ecparams = ecurve.getCurveByName('secp256r1')
-//   let curvePt = ecurve.Point.decodeFrom(ecparams, Buffer.from($publicKeyEncoded, 'hex'))
-//   let curvePtX = curvePt.affineX.toBuffer(32)
-//   let curvePtY = curvePt.affineY.toBuffer(32)
-//   // let publicKey = buffer.concat([Buffer.from([0x04]), curvePtX, curvePtY])
-
-//   let signatureScript = createChainLineWalletScript($publicKeyEncoded)
-
-//   let myProgramHash = getHash(signatureScript)
-
-//   // data
-//   let data = '40'
-
-//   // version
-//   data = data + '00'
-
-//   // asset name
-//   let assetName = ab2hexstring(stringToBytes($assetName))
-//   let assetNameLen = (assetName.length / 2).toString()
-//   if (assetNameLen.length === 1) assetNameLen = '0' + assetNameLen
-//   data = data + assetNameLen + assetName
-
-//   // asset precision
-//   data = data + '00'
-
-//   // asset type
-//   data = data + '01'
-
-//   // asset recordtype
-//   data = data + '00'
-
-//   // asset amount
-//   const num1 = $assetAmount * 100000000
-//   const num1str = numStoreInMemory(num1.toString(16), 16)
-//   data = data + num1str
-
-//   // publickey
-//   let publicKeyXStr = curvePtX.toString('hex')
-//   let publicKeyYStr = curvePtY.toString('hex')
-
-//   data = data + '20' + publicKeyXStr + '20' + publicKeyYStr
-//   data = data + myProgramHash.toString()
-//   data = data + '000000'
-
-//   return data
-// }
@@ -42,13 +42,31 @@ export const deserializeTransactionOutput = (stream) => {
  */
 const maxTransactionAttributeSize = 65535
 
+/**
+ * Gets the size of the data of attribute usages that have a fixed size.
+ * @param {number} usage
+ * @return {number|null} The size in bytes, or null if the data is prefixed by its length
+ */
+const getFixedAttributeSize = (usage) => {
+  if (usage === 0x00 || usage === 0x30 || (usage >= 0xa1 && usage <= 0xaf)) return 32
+  if (usage === 0x02 || usage === 0x03) return 32
+  if (usage === 0x20) return 20
+  return null
+}
+
 export const serializeTransactionAttribute = (attr) => {
-  if (attr.data.length > maxTransactionAttributeSize) throw new Error()
+  const size = attr.data.length / 2
+  if (size > maxTransactionAttributeSize) {
+    throw new RangeError(`Attribute data of ${size} bytes exceeds the maximum of ${maxTransactionAttributeSize}`)
+  }
   let out = num2hexstring(attr.usage)
   if (attr.usage === 0x81) {
-    out += num2hexstring(attr.data.length)
+    if (size > 0xff) throw new RangeError(`DescriptionUrl attribute of ${size} bytes exceeds the maximum of 255`)
+    out += num2hexstring(size)
   } else if (attr.usage === 0x90 || attr.usage >= 0xf0) {
-    out += num2VarInt(attr.data.length)
+    out += num2VarInt(size)
+  } else if (getFixedAttributeSize(attr.usage) === null) {
+    throw new Error(`Unknown attribute usage 0x${num2hexstring(attr.usage)}`)
   }
   if (attr.usage === 0x02 || attr.usage === 0x03) {
     out += attr.data.substr(2, 64)
@@ -59,21 +77,20 @@ export const serializeTransactionAttribute = (attr) => {
 }
 
 export const deserializeTransactionAttribute = (stream) => {
+  const offset = stream.pter / 2
   const attr = {
     usage: parseInt(stream.read(1), 16)
   }
-  if (attr.usage === 0x00 || attr.usage === 0x30 || (attr.usage >= 0xa1 && attr.usage <= 0xaf)) {
-    attr.data = stream.read(32)
-  } else if (attr.usage === 0x02 || attr.usage === 0x03) {
+  if (attr.usage === 0x02 || attr.usage === 0x03) {
     attr.data = num2hexstring(attr.usage) + stream.read(32)
-  } else if (attr.usage === 0x20) {
-    attr.data = stream.read(20)
+  } else if (getFixedAttributeSize(attr.usage) !== null) {
+    attr.data = stream.read(getFixedAttributeSize(attr.usage))
   } else if (attr.usage === 0x81) {
     attr.data = stream.read(parseInt(stream.read(1), 16))
   } else if (attr.usage === 0x90 || attr.usage >= 0xf0) {
     attr.data = stream.readVarBytes()
   } else {
-    throw new Error()
+    throw new Error(`Unknown attribute usage 0x${num2hexstring(attr.usage)} at offset ${offset}`)
   }
   return attr
 }
@@ -1,6 +1,6 @@
 import { getScriptHashFromPublicKey } from '../wallet.js'
 import { buildScript } from '../sc/scriptBuilder.js'
-import { fixed8GasCeil } from '../utils'
+import { fixed8GasCeil, num2VarInt, reverseHex } from '../utils'
 
 export const CURRENT_VERSION = 0
 export const ASSETS = {
@@ -15,9 +15,10 @@ export const ASSETS = {
  * @param {string} publicKey - Public key (Encoded form)
  * @param {Object} claimData - Claim Data provided by API
  * @param {Object} [override={}] - Optional overrides (eg. custom version)
+ * @param {ChainLineConfig} [config] - The account kind and wallet contract revision the claim is sent to
  * @return {Transaction} Unsigned Transaction
  */
-export const claimTx = (publicKey, claimData, override = {}) => {
+export const claimTx = (publicKey, claimData, override = {}, config) => {
   const tx = Object.assign({
     type: 2,
     version: CURRENT_VERSION,
@@ -38,7 +39,7 @@ export const claimTx = (publicKey, claimData, override = {}) => {
   const outputs = [{
     assetId: '602c79718b16e442de58778e148d0b1084e3b2dffd5de6b7b16cee7969282de7',
     value: totalClaim / 100000000,
-    scriptHash: getScriptHashFromPublicKey(publicKey)
+    scriptHash: getScriptHashFromPublicKey(publicKey, config)
   }]
   return Object.assign(tx, { inputs, attributes, claims, outputs }, override)
 }
@@ -49,16 +50,17 @@ export const claimTx = (publicKey, claimData, override = {}) => {
  * @param {Balance} balances - Current assets available.
  * @param {TransactionOutput[]} intents - All sending intents as TransactionOutputs
  * @param {Object} [override={}] - Optional overrides (eg.custom versions)
+ * @param {ChainLineConfig} [config] - The account kind and wallet contract revision change is sent to
  * @return {Transaction} Unsigned Transaction
  */
-export const ContractTx = (publicKey, balances, intents, override = {}) => {
+export const ContractTx = (publicKey, balances, intents, override = {}, config) => {
   const tx = Object.assign({
     type: 128,
     version: CURRENT_VERSION,
     scripts: []
   }, override)
   const attributes = []
-  let { inputs, change } = calculateInputs(publicKey, balances, intents)
+  let { inputs, change } = calculateInputs(publicKey, balances, intents, 0, config)
   return Object.assign(tx, { inputs, attributes, outputs: intents.concat(change) }, override)
 }
 
@@ -70,29 +72,78 @@ export const ContractTx = (publicKey, balances, intents, override = {}) => {
  * @param {Object|string} invoke - Invoke Script as an object or hexstring
  * @param {number} gasCost - Gas to attach for invoking script
  * @param {Object} [override={}] - Optional overrides (eg.custom versions)
+ * @param {ChainLineConfig} [config] - The account kind and wallet contract revision change is sent to
  * @return {string} Unsigned Transaction
  */
-export const invocationTx = (publicKey, balances, intents, invoke, gasCost, override = {}) => {
+export const invocationTx = (publicKey, balances, intents, invoke, gasCost, override = {}, config) => {
   const tx = Object.assign({
     type: 0xd1,
     version: CURRENT_VERSION,
     scripts: []
   }, override)
   const attributes = []
-  const { inputs, change, gasCost: calcGasCost } = calculateInputs(publicKey, balances, intents, gasCost)
+  const { inputs, change, gasCost: calcGasCost } = calculateInputs(publicKey, balances, intents, gasCost, config)
   const script = typeof (invoke) === 'string' ? invoke : buildScript(invoke)
   return Object.assign(tx, { inputs, attributes, outputs: intents.concat(change), script, gas: calcGasCost }, override)
 }
 
+/**
+ * Constructs an IssueTransaction based on inputs. The admin of the issued asset has to sign it as well.
+ * @param {string} publicKey - Public Key (Encoded Form)
+ * @param {Balance} balances - Balance of address, to pay the system fee from
+ * @param {TransactionOutput[]} intents - The assets to issue as TransactionOutputs
+ * @param {number} [gasCost=0] - System fee of the issue, 500 GAS unless the asset is NEO or GAS
+ * @param {Object} [override={}] - Optional overrides (eg.custom versions)
+ * @param {ChainLineConfig} [config] - The account kind and wallet contract revision change is sent to
+ * @return {Transaction} Unsigned Transaction
+ */
+export const issueTx = (publicKey, balances, intents, gasCost = 0, override = {}, config) => {
+  const tx = Object.assign({
+    type: 0x01,
+    version: CURRENT_VERSION,
+    scripts: []
+  }, override)
+  const attributes = []
+  const { inputs, change } = calculateInputs(publicKey, balances, [], gasCost, config)
+  return Object.assign(tx, { inputs, attributes, outputs: intents.concat(change) }, override)
+}
+
+/**
+ * Constructs a StateTransaction that votes for validators.
+ * @param {string} publicKey - Public Key (Encoded Form) of the voter
+ * @param {string[]} candidates - Public keys (Encoded Form) of the validators voted for, none to withdraw the votes
+ * @param {Object} [override={}] - Optional overrides (eg.custom versions)
+ * @param {ChainLineConfig} [config] - The account kind and wallet contract revision of the voter
+ * @return {Transaction} Unsigned Transaction
+ */
+export const stateTx = (publicKey, candidates, override = {}, config) => {
+  const tx = Object.assign({
+    type: 0x90,
+    version: CURRENT_VERSION,
+    scripts: []
+  }, override)
+  candidates.forEach((candidate) => {
+    if (!/^0[23][0-9a-f]{64}$/i.test(candidate)) throw new Error(`Invalid public key: ${candidate}`)
+  })
+  const descriptors = [{
+    type: 0x40,
+    key: reverseHex(getScriptHashFromPublicKey(publicKey, config)),
+    field: 'Votes',
+    value: num2VarInt(candidates.length) + candidates.join('')
+  }]
+  return Object.assign(tx, { inputs: [], attributes: [], outputs: [], descriptors }, override)
+}
+
 /**
  * Calculate the inputs required given the intents and gasCost. gasCost has to be seperate because it will not be reflected as an TransactionOutput.
  * @param {string} publicKey
  * @param {Balance} balances - Balance of all assets available.
  * @param {TransactionOutput[]} intents - All sending intents
  * @param {number} gasCost - gasCost required for the transaction.
+ * @param {ChainLineConfig} [config] - The account kind and wallet contract revision change is sent to
  * @return {Object} {inputs: TransactionInput[], change: TransactionOutput[] }
  */
-const calculateInputs = (publicKey, balances, intents, gasCost = 0) => {
+const calculateInputs = (publicKey, balances, intents, gasCost = 0, config) => {
   // We will work in integers here to be more accurate.
   // As assets are stored as Fixed8, we just multiple everything by 10e8 and round off to get integers.
   const requiredAssets = intents.reduce((assets, intent) => {
@@ -126,7 +177,7 @@ const calculateInputs = (publicKey, balances, intents, gasCost = 0) => {
       change.push({
         assetId,
         value: (selectedAmt - requiredAmt) / 100000000,
-        scriptHash: getScriptHashFromPublicKey(publicKey)
+        scriptHash: getScriptHashFromPublicKey(publicKey, config)
       })
     }
     // Format inputs
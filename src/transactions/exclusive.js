@@ -1,6 +1,79 @@
-import { StringStream, num2fixed8, fixed82num, num2VarInt } from '../utils.js'
+import BigInteger from 'bigi'
+import { num2fixed8, fixed82num, num2hexstring, num2VarInt, reverseHex } from '../utils.js'
 import { serializeTransactionInput, deserializeTransactionInput } from './components.js'
 
+/**
+ * Reads an ECPoint in encoded form: a single 00 for infinity, otherwise compressed or uncompressed.
+ * @param {StringStream} ss
+ * @return {string}
+ */
+const readECPoint = (ss) => {
+  const offset = ss.pter / 2
+  const prefix = ss.read(1)
+  switch (prefix) {
+    case '00':
+      return prefix
+    case '02':
+    case '03':
+      return prefix + ss.read(32)
+    case '04':
+      return prefix + ss.read(64)
+    default:
+      throw new Error(`Invalid ECPoint prefix 0x${prefix} at offset ${offset}`)
+  }
+}
+
+const readVarString = (ss) => Buffer.from(ss.readVarBytes(), 'hex').toString('utf8')
+
+const writeVarString = (str) => {
+  const hex = Buffer.from(str, 'utf8').toString('hex')
+  return num2VarInt(hex.length / 2) + hex
+}
+
+const writeVarBytes = (hex) => num2VarInt(hex.length / 2) + hex
+
+const FIXED8_MODULUS = BigInteger.ONE.shiftLeft(64)
+const FIXED8_SIGN = BigInteger.ONE.shiftLeft(63)
+
+/**
+ * Reads a signed Fixed8. Asset amounts use -0.00000001 for unlimited supply.
+ * @param {StringStream} ss
+ * @return {number}
+ */
+const readSignedFixed8 = (ss) => {
+  let value = BigInteger.fromHex(reverseHex(ss.read(8)))
+  if (value.compareTo(FIXED8_SIGN) >= 0) value = value.subtract(FIXED8_MODULUS)
+  return parseInt(value.toString(), 10) / 100000000
+}
+
+const writeSignedFixed8 = (num) => {
+  if (num >= 0) return num2fixed8(num)
+  const value = FIXED8_MODULUS.add(new BigInteger(Math.round(num * 100000000).toString(), 10))
+  return reverseHex(value.toHex())
+}
+
+/**
+ * @param {StringStream} ss
+ * @return {object} {nonce: number}
+ */
+const deserializeMinerExclusive = (ss) => {
+  return { nonce: parseInt(reverseHex(ss.read(4)), 16) }
+}
+
+const serializeMinerExclusive = (tx) => {
+  if (tx.type !== 0x00) throw new Error(`Expected a miner transaction but got type ${tx.type}`)
+  return num2hexstring(tx.nonce, 8, true)
+}
+
+const deserializeIssueExclusive = (ss) => {
+  return {}
+}
+
+const serializeIssueExclusive = (tx) => {
+  if (tx.type !== 0x01) throw new Error(`Expected an issue transaction but got type ${tx.type}`)
+  return ''
+}
+
 /**
  * @param {StringStream} ss
  * @return {object} {claims: TransactionInput[]}
@@ -21,7 +94,7 @@ const deserializeClaimExclusive = (ss) => {
  * @return {string}
  */
 const serializeClaimExclusive = (tx) => {
-  if (tx.type !== 0x02) throw new Error()
+  if (tx.type !== 0x02) throw new Error(`Expected a claim transaction but got type ${tx.type}`)
   let out = num2VarInt(tx.claims.length)
   for (const claim of tx.claims) {
     out += serializeTransactionInput(claim)
@@ -29,28 +102,139 @@ const serializeClaimExclusive = (tx) => {
   return out
 }
 
+/**
+ * @param {StringStream} ss
+ * @return {object} {publicKey: string}
+ */
+const deserializeEnrollmentExclusive = (ss) => {
+  return { publicKey: readECPoint(ss) }
+}
+
+const serializeEnrollmentExclusive = (tx) => {
+  if (tx.type !== 0x20) throw new Error(`Expected an enrollment transaction but got type ${tx.type}`)
+  return tx.publicKey
+}
+
+/**
+ * @param {StringStream} ss
+ * @return {object} {assetType: number, name: string, amount: number, precision: number, owner: string, admin: string}
+ */
+const deserializeRegisterExclusive = (ss) => {
+  const assetType = parseInt(ss.read(1), 16)
+  const name = readVarString(ss)
+  const amount = readSignedFixed8(ss)
+  const precision = parseInt(ss.read(1), 16)
+  const owner = readECPoint(ss)
+  const admin = reverseHex(ss.read(20))
+  return { assetType, name, amount, precision, owner, admin }
+}
+
+const serializeRegisterExclusive = (tx) => {
+  if (tx.type !== 0x40) throw new Error(`Expected a register transaction but got type ${tx.type}`)
+  let out = num2hexstring(tx.assetType)
+  out += writeVarString(tx.name)
+  out += writeSignedFixed8(tx.amount)
+  out += num2hexstring(tx.precision)
+  out += tx.owner
+  out += reverseHex(tx.admin)
+  return out
+}
+
 const deserializeContractExclusive = (ss) => {
   return {}
 }
 
 const serializeContractExclusive = (tx) => {
-  if (tx.type !== 0x80) throw new Error()
+  if (tx.type !== 0x80) throw new Error(`Expected a contract transaction but got type ${tx.type}`)
   return ''
 }
 
+/**
+ * @typedef StateDescriptor
+ * @property {number} type - 0x40 for an account, 0x48 for a validator
+ * @property {string} key - The script hash of the account (Little Endian) or the public key of the validator
+ * @property {string} field - 'Votes' for an account, 'Registered' for a validator
+ * @property {string} value - The serialized value, eg. the public keys voted for
+ */
+
+/**
+ * @param {StringStream} ss
+ * @return {object} {descriptors: StateDescriptor[]}
+ */
+const deserializeStateExclusive = (ss) => {
+  const descriptors = []
+  const descriptorLength = ss.readVarInt()
+  for (let i = 0; i < descriptorLength; i++) {
+    const offset = ss.pter / 2
+    const type = parseInt(ss.read(1), 16)
+    if (type !== 0x40 && type !== 0x48) throw new Error(`Unknown state descriptor type 0x${num2hexstring(type)} at offset ${offset}`)
+    const key = ss.readVarBytes()
+    const field = readVarString(ss)
+    const value = ss.readVarBytes()
+    descriptors.push({ type, key, field, value })
+  }
+  return { descriptors }
+}
+
+const serializeStateExclusive = (tx) => {
+  if (tx.type !== 0x90) throw new Error(`Expected a state transaction but got type ${tx.type}`)
+  let out = num2VarInt(tx.descriptors.length)
+  for (const descriptor of tx.descriptors) {
+    out += num2hexstring(descriptor.type)
+    out += writeVarBytes(descriptor.key)
+    out += writeVarString(descriptor.field)
+    out += writeVarBytes(descriptor.value)
+  }
+  return out
+}
+
+/**
+ * @param {StringStream} ss
+ * @param {Transaction} tx - The type and version read so far
+ * @return {object} {script: string, parameterList: string, returnType: number, needStorage: boolean, name: string, codeVersion: string, author: string, email: string, description: string}
+ */
+const deserializePublishExclusive = (ss, tx) => {
+  if (tx.version > 1) throw new Error(`Unsupported publish transaction version ${tx.version} at offset 1`)
+  const script = ss.readVarBytes()
+  const parameterList = ss.readVarBytes()
+  const returnType = parseInt(ss.read(1), 16)
+  const needStorage = tx.version >= 1 ? ss.read(1) !== '00' : false
+  const name = readVarString(ss)
+  const codeVersion = readVarString(ss)
+  const author = readVarString(ss)
+  const email = readVarString(ss)
+  const description = readVarString(ss)
+  return { script, parameterList, returnType, needStorage, name, codeVersion, author, email, description }
+}
+
+const serializePublishExclusive = (tx) => {
+  if (tx.type !== 0xd0) throw new Error(`Expected a publish transaction but got type ${tx.type}`)
+  let out = writeVarBytes(tx.script)
+  out += writeVarBytes(tx.parameterList)
+  out += num2hexstring(tx.returnType)
+  if (tx.version >= 1) out += tx.needStorage ? '01' : '00'
+  out += writeVarString(tx.name)
+  out += writeVarString(tx.codeVersion)
+  out += writeVarString(tx.author)
+  out += writeVarString(tx.email)
+  out += writeVarString(tx.description)
+  return out
+}
+
 /**
  * @param {StringStream} ss
+ * @param {Transaction} tx - The type and version read so far
  * @return {object} {script: string, gas: number}
  */
-const deserializeInvocationExclusive = (ss) => {
+const deserializeInvocationExclusive = (ss, tx) => {
+  if (tx.version > 1) throw new Error(`Unsupported invocation transaction version ${tx.version} at offset 1`)
   const script = ss.readVarBytes()
-  const version = parseInt(ss.str.substr(2, 2), 2)
-  const gas = version >= 1 ? fixed82num(ss.read(8)) : 0
+  const gas = tx.version >= 1 ? fixed82num(ss.read(8)) : 0
   return { script, gas }
 }
 
 const serializeInvocationExclusive = (tx) => {
-  if (tx.type !== 0xd1) throw new Error()
+  if (tx.type !== 0xd1) throw new Error(`Expected an invocation transaction but got type ${tx.type}`)
   let out = num2VarInt(tx.script.length / 2)
   out += tx.script
   if (tx.version >= 1) out += num2fixed8(tx.gas)
@@ -58,13 +242,25 @@ const serializeInvocationExclusive = (tx) => {
 }
 
 export const serialize = {
+  0: serializeMinerExclusive,
+  1: serializeIssueExclusive,
   2: serializeClaimExclusive,
+  32: serializeEnrollmentExclusive,
+  64: serializeRegisterExclusive,
   128: serializeContractExclusive,
+  144: serializeStateExclusive,
+  208: serializePublishExclusive,
   209: serializeInvocationExclusive
 }
 
 export const deserialize = {
+  0: deserializeMinerExclusive,
+  1: deserializeIssueExclusive,
   2: deserializeClaimExclusive,
+  32: deserializeEnrollmentExclusive,
+  64: deserializeRegisterExclusive,
   128: deserializeContractExclusive,
+  144: deserializeStateExclusive,
+  208: deserializePublishExclusive,
   209: deserializeInvocationExclusive
 }
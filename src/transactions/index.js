@@ -1,5 +1,15 @@
 import { num2VarInt, num2hexstring, StringStream, reverseHex } from '../utils.js'
-import { signatureData, createChainLineWalletScript, getAccountFromPrivateKey } from '../wallet.js'
+import {
+  signatureData,
+  verifySignatureData,
+  createVerificationScript,
+  getAccountFromPrivateKey,
+  getHash,
+  getScriptHashFromAddress,
+  parseMultiSigScript
+} from '../wallet.js'
+import { getPublicKeyFromWalletScript } from '../chainline.js'
+import { isSigner, toSigner } from '../signer.js'
 import CryptoJS from 'crypto-js'
 import * as comp from './components.js'
 import * as e from './exclusive.js'
@@ -27,7 +37,9 @@ export const ASSETS = _c.ASSETS
 export const create = {
   claim: _c.claimTx,
   contract: _c.ContractTx,
-  invocation: _c.invocationTx
+  invocation: _c.invocationTx,
+  issue: _c.issueTx,
+  state: _c.stateTx
 }
 
 export const serialize = {
@@ -88,14 +100,17 @@ export const deserializeTransaction = (data) => {
   let tx = {}
   tx.type = parseInt(ss.read(1), 16)
   tx.version = parseInt(ss.read(1), 16)
-  const exclusiveData = deserialize.exclusiveData[tx.type](ss)
+  if (!deserialize.exclusiveData[tx.type]) {
+    throw new Error(`Unsupported transaction type 0x${num2hexstring(tx.type)} at offset 0`)
+  }
+  const exclusiveData = deserialize.exclusiveData[tx.type](ss, tx)
   tx.attributes = []
   tx.inputs = []
   tx.outputs = []
   tx.scripts = []
   const attrLength = ss.readVarInt()
   for (let i = 0; i < attrLength; i++) {
-    tx.inputs.push(deserialize.attribute(ss))
+    tx.attributes.push(deserialize.attribute(ss))
   }
   const inputLength = ss.readVarInt()
   for (let i = 0; i < inputLength; i++) {
@@ -111,23 +126,186 @@ export const deserializeTransaction = (data) => {
       tx.scripts.push(deserialize.script(ss))
     }
   }
+  if (!ss.isEmpty()) throw new Error(`Unexpected data at offset ${ss.pter / 2}`)
   return Object.assign(tx, exclusiveData)
 }
 
+/**
+ * Adds the witness of a single signature to a transaction.
+ * @param {Transaction} transaction - The transaction
+ * @param {string} signature - The signature, hex encoded
+ * @param {string} publicKey - The public key of the signer, in encoded form
+ * @param {ChainLineConfig} [config] - The account kind and wallet contract revision used for the verification script
+ * @return {Transaction} The transaction
+ */
+const addWitness = (transaction, signature, publicKey, config) => {
+  const witness = { invocationScript: '40' + signature, verificationScript: createVerificationScript(publicKey, config) }
+  transaction.scripts ? transaction.scripts.push(witness) : transaction.scripts = [witness]
+  return transaction
+}
+
 /**
  * Signs a transaction with the corresponding privateKey. We are dealing with it as an Transaction object as multi-sig transactions require us to sign the transaction without signatures.
  * @param {Object} transaction - Transaction as an object
  * @param {string} privateKey - The private key. This method does not check if the private key is valid (aka that the inputs come from the corresponding address)
  * @param {string} serializedTx - An optional serialized form of the transaction, supplied if pre-computed.
+ * @param {ChainLineConfig} [config] - The account kind and wallet contract revision used for the verification script
  * @return {Object} Signed transaction as an object.
  */
-export const signTransaction = (transaction, privateKey, serializedTx) => {
+export const signTransaction = (transaction, privateKey, serializedTx, config) => {
+  if (isSigner(privateKey)) throw new TypeError('signTransaction takes a private key, use signTransactionWith for a signer')
   const serialized = serializedTx || serializeTransaction(transaction, false)
-  const invocationScript = '40' + signatureData(serialized, privateKey)
-  const verificationScript = createChainLineWalletScript(getAccountFromPrivateKey(privateKey).publicKeyEncoded)
-  const witness = { invocationScript, verificationScript }
-  transaction.scripts ? transaction.scripts.push(witness) : transaction.scripts = [witness]
-  return transaction
+  return addWitness(transaction, signatureData(serialized, privateKey), getAccountFromPrivateKey(privateKey).publicKeyEncoded, config)
+}
+
+/**
+ * Signs a transaction with a signer, which may sign asynchronously, e.g. a hardware wallet.
+ * The signature is checked against the signer's public key before it is added.
+ * @param {Object} transaction - Transaction as an object
+ * @param {Signer|string} signer - The signer, or a WIF or private key to sign with in memory
+ * @param {string} serializedTx - An optional serialized form of the transaction, supplied if pre-computed.
+ * @param {ChainLineConfig} [config] - The account kind and wallet contract revision used for the verification script
+ * @return {Promise<Object>} Signed transaction as an object.
+ */
+export const signTransactionWith = (transaction, signer, serializedTx, config) => {
+  return Promise.resolve().then(() => {
+    const serialized = serializedTx || serializeTransaction(transaction, false)
+    const wrapped = toSigner(signer)
+    return Promise.all([wrapped.sign(serialized), wrapped.getPublicKey()]).then(([signature, publicKey]) => {
+      if (!verifySignatureData(serialized, signature, publicKey)) throw new Error('The signer returned an invalid signature')
+      return addWitness(transaction, signature, publicKey, config)
+    })
+  })
+}
+
+/**
+ * @typedef WitnessVerification
+ * @property {string} scriptHash - Script hash (BE) of the verification script
+ * @property {string[]} publicKeys - The public keys of the verification script, empty if it is not recognised
+ * @property {boolean} valid - True if the invocation script holds valid signatures for the verification script
+ * @property {string} [error] - Why the witness is not valid
+ */
+
+/**
+ * @typedef TransactionVerification
+ * @property {boolean} valid - True if every witness is valid and every script hash to verify has a witness
+ * @property {WitnessVerification[]} witnesses - The result of each witness, in the order of tx.scripts
+ * @property {string[]} uncovered - Script hashes (BE) of inputs, claims and script attributes without a witness
+ * @property {TransactionInput[]} unresolved - Inputs and claims whose spent output is missing from the references
+ */
+
+/**
+ * Maps the unspent outputs of a balance to the address holding them, to be used as references by verifyTransaction.
+ * @param {Balance} balances - Balance of an address, as returned by getBalance
+ * @param {Object<string, string>} [references] - References to add to
+ * @return {Object<string, string>} Script hash (BE) of each output, keyed by 'txid:index'
+ */
+export const getReferences = (balances, references = {}) => {
+  const scriptHash = getScriptHashFromAddress(balances.address)
+  Object.keys(balances).forEach((key) => {
+    const unspent = balances[key] && balances[key].unspent
+    if (Array.isArray(unspent)) unspent.forEach((output) => { references[`${output.txid}:${output.index}`] = scriptHash })
+  })
+  return references
+}
+
+/**
+ * Reads the data pushed by an invocation script.
+ * @param {string} script - The invocation script, hex encoded
+ * @return {string[]} The pushed data, hex encoded
+ */
+const readPushes = (script) => {
+  const ss = new StringStream(script)
+  const pushes = []
+  while (!ss.isEmpty()) {
+    const opcode = parseInt(ss.read(1), 16)
+    let length
+    if (opcode >= 0x01 && opcode <= 0x4b) length = opcode
+    else if (opcode === 0x4c) length = parseInt(ss.read(1), 16)
+    else if (opcode === 0x4d) length = parseInt(reverseHex(ss.read(2)), 16)
+    else if (opcode === 0x4e) length = parseInt(reverseHex(ss.read(4)), 16)
+    else throw new Error(`Unsupported opcode ${num2hexstring(opcode)} in invocation script`)
+    const data = ss.read(length)
+    if (data.length !== length * 2) throw new Error('Invocation script ends within a push')
+    pushes.push(data)
+  }
+  return pushes
+}
+
+/**
+ * Recognises a verification script and returns the public keys it checks.
+ * @param {string} script - The verification script, hex encoded
+ * @param {ChainLineConfig} [config] - The wallet contract revision of Chain Line wallet scripts
+ * @return {{publicKeys: string[], threshold: number}|null} The public keys and how many of them have to sign
+ */
+const getVerificationKeys = (script, config) => {
+  const standard = /^21(0[23][0-9a-f]{64})ac$/.exec(script)
+  if (standard) return { publicKeys: [standard[1]], threshold: 1 }
+  const publicKey = getPublicKeyFromWalletScript(script, config)
+  if (publicKey) return { publicKeys: [publicKey], threshold: 1 }
+  return parseMultiSigScript(script)
+}
+
+/**
+ * Verifies a witness against the unsigned transaction. Like CHECKMULTISIG, signatures have to be in the order of the keys.
+ * @param {Witness} witness - The witness
+ * @param {string} serialized - The unsigned transaction, hex encoded
+ * @param {ChainLineConfig} [config] - The wallet contract revision of Chain Line wallet scripts
+ * @return {WitnessVerification} The result
+ */
+const verifyWitness = (witness, serialized, config) => {
+  const result = { scriptHash: reverseHex(getHash(witness.verificationScript)), publicKeys: [], valid: false }
+  const keys = getVerificationKeys(witness.verificationScript, config)
+  if (!keys) return Object.assign(result, { error: 'Unknown verification script' })
+  result.publicKeys = keys.publicKeys
+  let signatures
+  try {
+    signatures = readPushes(witness.invocationScript)
+  } catch (err) {
+    return Object.assign(result, { error: err.message })
+  }
+  if (signatures.length !== keys.threshold) {
+    return Object.assign(result, { error: `Expected ${keys.threshold} signature(s) but found ${signatures.length}` })
+  }
+  let k = 0
+  for (const signature of signatures) {
+    while (k < keys.publicKeys.length && !verifySignatureData(serialized, signature, keys.publicKeys[k])) k++
+    if (k === keys.publicKeys.length) return Object.assign(result, { error: 'Invalid signature' })
+    k++
+  }
+  result.valid = true
+  return result
+}
+
+/**
+ * Verifies the witnesses of a transaction and checks that every script hash which has to sign is covered by one.
+ * The owners of inputs and claims are not part of the transaction, they are looked up in the references.
+ * @param {Transaction} tx - The signed transaction
+ * @param {Object<string, string>} [references] - Script hash (BE) of the outputs spent by the transaction, keyed by
+ *   'txid:index', see getReferences
+ * @param {ChainLineConfig} [config] - The wallet contract revision of Chain Line wallet scripts
+ * @return {TransactionVerification} The result
+ */
+export const verifyTransaction = (tx, references = {}, config) => {
+  const serialized = serializeTransaction(tx, false)
+  const witnesses = (tx.scripts || []).map((witness) => verifyWitness(witness, serialized, config))
+  const unresolved = []
+  const required = []
+  const requireHash = (scriptHash) => { if (required.indexOf(scriptHash) === -1) required.push(scriptHash) }
+  tx.inputs.concat(tx.claims || []).forEach((input) => {
+    const scriptHash = references[`${input.prevHash}:${input.prevIndex}`]
+    scriptHash ? requireHash(scriptHash) : unresolved.push(input)
+  })
+  tx.attributes.filter((attr) => attr.usage === 0x20).forEach((attr) => requireHash(reverseHex(attr.data)))
+  const descriptors = tx.descriptors || []
+  descriptors.filter((descriptor) => descriptor.type === 0x40).forEach((descriptor) => requireHash(reverseHex(descriptor.key)))
+  const uncovered = required.filter((scriptHash) => !witnesses.some((witness) => witness.scriptHash === scriptHash))
+  return {
+    valid: witnesses.every((witness) => witness.valid) && uncovered.length === 0 && unresolved.length === 0,
+    witnesses,
+    uncovered,
+    unresolved
+  }
 }
 
 /**
@@ -21,6 +21,13 @@ export const fixed8GasCeil = fixed8GasCost => {
   return fixed8GasCost
 }
 
+/**
+ * Returns a promise that resolves after the given time.
+ * @param {number} ms - Time in milliseconds
+ * @returns {Promise}
+ */
+export const delay = ms => new Promise((resolve) => setTimeout(resolve, ms))
+
 export const ab2str = buf => {
   return String.fromCharCode.apply(null, new Uint8Array(buf))
 }
@@ -197,7 +204,7 @@ export class StringStream {
   }
 
   read (bytes) {
-    if (this.isEmpty()) throw new Error()
+    if (this.pter + bytes * 2 > this.str.length) throw new Error(`Unexpected end of data at offset ${this.pter / 2}`)
     const out = this.str.substr(this.pter, bytes * 2)
     this.pter += bytes * 2
     return out
@@ -9,7 +9,11 @@ import {
   reverseHex
 } from './utils'
 import secureRandom from 'secure-random'
+import ScriptBuilder from './sc/scriptBuilder.js'
+import OpCode from './sc/opCode.js'
 import * as ChainLine from './chainline'
+import AccountInstance, { decodeWIF } from './account'
+import { InvalidWIFError, ChecksumError, InvalidKeyError } from './errors'
 
 const BASE58 = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz'
 let base58 = require('base-x')(BASE58)
@@ -63,15 +67,82 @@ export const createSignatureScript = (publicKeyEncoded) => {
   return '21' + publicKeyEncoded + 'ac'
 }
 
+/**
+ * Orders public keys like NEO does for multi-signature scripts: by X coordinate, then by Y coordinate.
+ * @param {string} a - Public key in encoded form
+ * @param {string} b - Public key in encoded form
+ * @return {number} Negative if a comes first, positive if b comes first
+ */
+const comparePublicKeys = (a, b) => {
+  const ax = a.substr(2).toLowerCase()
+  const bx = b.substr(2).toLowerCase()
+  if (ax !== bx) return ax < bx ? -1 : 1
+  const curve = ecurve.getCurveByName('secp256r1')
+  const y = (key) => ecurve.Point.decodeFrom(curve, Buffer.from(key, 'hex')).affineY
+  return y(a).compareTo(y(b))
+}
+
+/**
+ * Create a m-of-n multi-signature (CHECKMULTISIG) verification script
+ * @param {number} threshold - The number of signatures required (m)
+ * @param {string[]} publicKeys - Public keys in encoded form (n), in any order
+ * @return {string} The multi-signature script
+ */
+export const createMultiSigScript = (threshold, publicKeys) => {
+  if (!Array.isArray(publicKeys) || publicKeys.length < 1 || publicKeys.length > 16) {
+    throw new RangeError('A multi-signature script takes 1 to 16 public keys')
+  }
+  if (!Number.isInteger(threshold) || threshold < 1 || threshold > publicKeys.length) {
+    throw new RangeError(`Invalid threshold: ${threshold} of ${publicKeys.length}`)
+  }
+  const keys = publicKeys.map((key) => key.toLowerCase())
+  keys.forEach((key, i) => {
+    if (!/^0[23][0-9a-f]{64}$/.test(key)) throw new InvalidKeyError(`Invalid public key: ${key}`)
+    if (keys.indexOf(key) !== i) throw new InvalidKeyError(`Duplicate public key: ${key}`)
+  })
+  const sb = new ScriptBuilder()
+  sb.emitPush(threshold)
+  keys.sort(comparePublicKeys).forEach((key) => sb.emitPush(key))
+  return sb.emitPush(keys.length).emit(OpCode.CHECKMULTISIG).str
+}
+
+/**
+ * Reads a multi-signature script created by createMultiSigScript
+ * @param {string} script - The verification script
+ * @return {{threshold: number, publicKeys: string[]}|null} The threshold and the public keys in script order, or null
+ *   if the script is not a multi-signature script
+ */
+export const parseMultiSigScript = (script) => {
+  const match = /^(5[1-9a-f]|60)((?:210[23][0-9a-f]{64})+)(5[1-9a-f]|60)ae$/.exec(script)
+  if (!match) return null
+  const threshold = parseInt(match[1], 16) - 0x50
+  const publicKeys = match[2].match(/.{68}/g).map((push) => push.substr(2))
+  if (parseInt(match[3], 16) - 0x50 !== publicKeys.length || threshold > publicKeys.length) return null
+  return { threshold, publicKeys }
+}
+
 /**
  * Create a Chain Line wallet verify script
  * @param {string|ArrayBuffer} publicKeyEncoded - Public Key in encoded form
+ * @param {ChainLineConfig} [config] - The hub and wallet contract revisions to use
  * @return {string} The Chain Line wallet script
  */
-export const createChainLineWalletScript = (publicKeyEncoded) => {
+export const createChainLineWalletScript = (publicKeyEncoded, config) => {
   if (publicKeyEncoded instanceof ArrayBuffer) publicKeyEncoded = publicKeyEncoded.toString('hex')
-  // wallet contract revision <UPDATE>
-  return ChainLine.generateWalletScript(publicKeyEncoded)
+  return ChainLine.generateWalletScript(publicKeyEncoded, config)
+}
+
+/**
+ * Create the verification script of an account, selected by the config's account kind
+ * @param {string|ArrayBuffer} publicKeyEncoded - Public Key in encoded form
+ * @param {ChainLineConfig} [config] - The account kind and contract revisions to use, defaults to a Chain Line wallet
+ * @return {string} The signature script or the Chain Line wallet script
+ */
+export const createVerificationScript = (publicKeyEncoded, config) => {
+  if (config && config.accountKind === ChainLine.Constants.ACCOUNT_KIND_STANDARD) {
+    return createSignatureScript(publicKeyEncoded)
+  }
+  return createChainLineWalletScript(publicKeyEncoded, config)
 }
 
 /**
@@ -97,56 +168,60 @@ export const generateRandomArray = ($arrayLen) => {
 }
 
 /**
- * Get Account from Private Key
+ * Converts an Account instance into the plain Account object returned by the functions below.
+ * @param {AccountInstance} account - The account
+ * @param {string} [privateKey] - The private key, if known
+ * @return {Account} An Account object
+ */
+const toAccountObject = (account, privateKey) => ({
+  privateKey,
+  publicKeyEncoded: account.publicKey,
+  publicKeyHash: account.publicKeyHash,
+  programHash: account.programHash,
+  address: account.address
+})
+
+/**
+ * Get Account from Private Key. Adapter for the Account class.
  * @param {string} privateKey - Private Key
- * @returns {Account} An Account object
+ * @param {ChainLineConfig} [config] - The account kind and contract revisions to use
+ * @returns {Account|number} An Account object or -1 for an invalid key
  */
-export const getAccountFromPrivateKey = (privateKey) => {
+export const getAccountFromPrivateKey = (privateKey, config) => {
   if (privateKey.length !== 64) {
     return -1
   }
-  const publicKeyEncoded = getPublicKey(privateKey, true)
-  // console.log(publicKeyEncoded)
-  return getAccountFromPublicKey(ab2hexstring(publicKeyEncoded), privateKey)
+  return toAccountObject(new AccountInstance(privateKey, config), privateKey)
 }
 
 /**
- * Get Account from Public Key
+ * Get Account from Public Key. Adapter for the Account class.
  * @param {string} publicKeyEncoded - Public Key in encoded form
  * @param {string} privateKey - Private Key (optional)
- * @returns {Account} An Account object
+ * @param {ChainLineConfig} [config] - The account kind and contract revisions to use
+ * @returns {Account|number} An Account object or -1 for an invalid key
  */
-export const getAccountFromPublicKey = (publicKeyEncoded, privateKey) => {
-  if (!verifyPublicKeyEncoded(publicKeyEncoded)) {
-    // verify failed.
-    return -1
+export const getAccountFromPublicKey = (publicKeyEncoded, privateKey, config) => {
+  try {
+    return toAccountObject(new AccountInstance(publicKeyEncoded, config), privateKey)
+  } catch (err) {
+    if (err instanceof InvalidKeyError || err instanceof InvalidWIFError) return -1
+    throw err
   }
-  const publicKeyHash = getHash(publicKeyEncoded)
-  // console.log(publicKeyHash)
-
-  const script = createChainLineWalletScript(publicKeyEncoded)
-  // console.log(script)
-
-  const programHash = getHash(script)
-  // console.log(programHash)
-
-  const address = toAddress(hexstring2ab(programHash))
-  // console.log(address)
-
-  return { privateKey, publicKeyEncoded, publicKeyHash, programHash, address }
 }
 
 /**
- * Get Account from WIF
+ * Get Account from WIF. Adapter for the Account class.
  * @param {string} WIFKey - WIF Key
+ * @param {ChainLineConfig} [config] - The account kind and contract revisions to use
  * @returns {Account|number} An Account object or -1 for basic encoding errors, -2 for failed verification of WIF
  */
-export const getAccountFromWIFKey = (WIFKey) => {
+export const getAccountFromWIFKey = (WIFKey, config) => {
   let privateKey = getPrivateKeyFromWIF(WIFKey)
   if (privateKey === -1 || privateKey === -2) {
     return privateKey
   }
-  return getAccountFromPrivateKey(privateKey)
+  return getAccountFromPrivateKey(privateKey, config)
 }
 
 /**
@@ -161,29 +236,18 @@ export const getHash = (signatureScript) => {
 }
 
 /**
- * Get private key from WIF key.
+ * Get private key from WIF key. Adapter for the Account class.
  * @param {string} wif - WIF key
- * @return {string} Private key
+ * @return {string|number} Private key or -1 for basic encoding errors, -2 for failed verification of WIF
  */
 export const getPrivateKeyFromWIF = (wif) => {
-  let data = base58.decode(wif)
-
-  if (data.length !== 38 || data[0] !== 0x80 || data[33] !== 0x01) {
-    // basic encoding errors
-    return -1
+  try {
+    return decodeWIF(wif)
+  } catch (err) {
+    if (err instanceof ChecksumError) return -2
+    if (err instanceof InvalidWIFError) return -1
+    throw err
   }
-
-  let dataHexString = CryptoJS.enc.Hex.parse(ab2hexstring(data.slice(0, data.length - 4)))
-  let dataSha = CryptoJS.SHA256(dataHexString)
-  let dataSha2 = CryptoJS.SHA256(dataSha)
-  let dataShaBuffer = hexstring2ab(dataSha2.toString())
-
-  if (ab2hexstring(dataShaBuffer.slice(0, 4)) !== ab2hexstring(data.slice(data.length - 4, data.length))) {
-    // wif verify failed.
-    return -2
-  }
-
-  return data.slice(1, 33).toString('hex')
 }
 
 /**
@@ -251,10 +315,11 @@ export const getScriptHashFromAddress = (address) => {
 /**
  * Gets the scriptHash of a Public key.
  * @param {string} publicKey
+ * @param {ChainLineConfig} [config] - The account kind and contract revisions to use
  * @return {string} scriptHash (BE)
  */
-export const getScriptHashFromPublicKey = (publicKey) => {
-  return getScriptHashFromAddress(toAddress(hexstring2ab(getHash(createChainLineWalletScript(publicKey)))))
+export const getScriptHashFromPublicKey = (publicKey, config) => {
+  return getScriptHashFromAddress(toAddress(hexstring2ab(getHash(createVerificationScript(publicKey, config)))))
 }
 /**
  * Signs a transaction with a private key
@@ -281,6 +346,25 @@ export const signatureData = (data, privateKey) => {
   return signature.signature.toString('hex')
 }
 
+/**
+ * Verifies a signature made with signatureData.
+ * @param {string} data - The signed data, hex encoded
+ * @param {string} signature - The signature (r and s), hex encoded
+ * @param {string} publicKey - The public key, encoded or unencoded
+ * @return {boolean} True if the signature is valid. Malformed signatures and keys are not valid.
+ */
+export const verifySignatureData = (data, signature, publicKey) => {
+  if (!/^[0-9a-f]{128}$/i.test(signature)) return false
+  const msgHash = Buffer.from(CryptoJS.SHA256(CryptoJS.enc.Hex.parse(data)).toString(), 'hex')
+  const elliptic = new EC('p256')
+  try {
+    const key = elliptic.keyFromPublic(publicKey, 'hex')
+    return key.verify(msgHash, { r: signature.substr(0, 64), s: signature.substr(64) })
+  } catch (err) {
+    return false
+  }
+}
+
 /**
  * Verifies if the string is a valid NEO address.
  * @param {string} address - A string that can be a NEO address.
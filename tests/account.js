@@ -0,0 +1,77 @@
+import Account from '../src/account.js'
+import { InvalidWIFError, ChecksumError, InvalidKeyError } from '../src/errors.js'
+import { STANDARD_ACCOUNT_CONFIG } from '../src/chainline.js'
+import { getAccountFromWIFKey, getPrivateKeyFromWIF, getAccountFromPublicKey, getScriptHashFromAddress } from '../src/wallet.js'
+
+describe('Account', function () {
+  this.timeout(30000)
+
+  const wif = 'L1QqQJnpBwbsPGAuutuzPTac8piqvbR1HRjrY5qHup48TBCBFe4g'
+  const standardAddress = 'ALq7AWrhAueN6mJNqk6FHJjnsEoPRytLdW'
+
+  it('derives every field from a WIF', () => {
+    const account = new Account(wif, STANDARD_ACCOUNT_CONFIG)
+    account.WIF.should.equal(wif)
+    account.privateKey.should.have.length(64)
+    account.publicKey.should.match(/^0[23][0-9a-f]{64}$/)
+    account.address.should.equal(standardAddress)
+    account.scriptHash.should.equal(getScriptHashFromAddress(standardAddress))
+  })
+
+  it('derives the same account from any of its keys', () => {
+    const fromWIF = new Account(wif)
+    const fromPrivateKey = new Account(fromWIF.privateKey)
+    const fromPublicKey = new Account(fromWIF.publicKey)
+    const fromAddress = new Account(fromWIF.address)
+    fromPrivateKey.WIF.should.equal(wif)
+    fromPublicKey.address.should.equal(fromWIF.address)
+    fromAddress.programHash.should.equal(fromWIF.programHash)
+    fromAddress.scriptHash.should.equal(fromWIF.scriptHash)
+  })
+
+  it('throws when a field cannot be derived', () => {
+    const fromAddress = new Account(standardAddress)
+    const fromPublicKey = new Account(new Account(wif).publicKey)
+    const getField = (account, field) => () => account[field]
+    getField(fromAddress, 'publicKey').should.throw(/unknown/)
+    getField(fromPublicKey, 'privateKey').should.throw(/no private key/)
+  })
+
+  it('throws typed errors', () => {
+    const create = (key) => () => new Account(key)
+    create('L1QqQJnpBwbsPGAuutuzPTac8piqvbR1HRjrY5qHup48TBCBFe4').should.throw(InvalidWIFError)
+    create('L1QqQJnpBwbsPGAuutuzPTac8piqvbR1HRjrY5qHup48TBCBFe4h').should.throw(ChecksumError)
+    create('ALq7AWrhAueN6mJNqk6FHJjnsEoPRytLdX').should.throw(ChecksumError)
+    create('02' + 'ff'.repeat(32)).should.throw(InvalidKeyError)
+  })
+
+  it('keeps the sentinel values of the adapters', () => {
+    getPrivateKeyFromWIF('L1QqQJnpBwbsPGAuutuzPTac8piqvbR1HRjrY5qHup48TBCBFe4').should.equal(-1)
+    getAccountFromWIFKey('L1QqQJnpBwbsPGAuutuzPTac8piqvbR1HRjrY5qHup48TBCBFe4h').should.equal(-2)
+    getAccountFromPublicKey('04' + '00'.repeat(32)).should.equal(-1)
+    getAccountFromWIFKey(wif, STANDARD_ACCOUNT_CONFIG).address.should.equal(standardAddress)
+  })
+
+  it('encrypts and decrypts with NEP-2', () => {
+    const account = new Account(wif)
+    return account.encrypt('city of zion')
+      .then(() => Account.fromEncrypted(account.encrypted, 'city of zion'))
+      .then((decrypted) => {
+        decrypted.WIF.should.equal(wif)
+        decrypted.address.should.equal(account.address)
+      })
+  })
+
+  it('salts NEP-2 keys of standard accounts like other NEO wallets', () => {
+    // test vector of the NEP-2 specification
+    const encrypted = '6PYVPVe1fQznphjbUxXP9KZJqPMVnVwCx5s5pr5axRJ8uHkMtZg97eT5kL'
+    const nep2Wif = 'L44B5gGEpqEDRS9vVPz7QT35jcBG2r3CZwSwQ4fCewXAhAhqGVpP'
+    return Account.fromEncrypted(encrypted, 'TestingOneTwoThree', STANDARD_ACCOUNT_CONFIG)
+      .then((decrypted) => {
+        decrypted.WIF.should.equal(nep2Wif)
+        decrypted.address.should.equal('AStZHy8E6StCqYQbzMqi4poH7YNDHQKxvt')
+        return new Account(nep2Wif, STANDARD_ACCOUNT_CONFIG).encrypt('TestingOneTwoThree')
+      })
+      .then((account) => account.encrypted.should.equal(encrypted))
+  })
+})
@@ -0,0 +1,170 @@
+import { parseVMStack, waitForTransaction, doSendTx } from '../src/api.js'
+import { serializeTransaction, getTransactionHash } from '../src/transactions/index.js'
+import { stubHTTP } from './stubs.js'
+
+describe('API', function () {
+  describe('parseVMStack', function () {
+    const stack = [
+      { type: 'ByteArray', value: '52505820546f6b656e' },
+      { type: 'Integer', value: '8' },
+      { type: 'Boolean', value: true },
+      { type: 'ByteArray', value: '00e1f505' },
+      { type: 'Array', value: [{ type: 'Integer', value: '1' }, { type: 'ByteArray', value: '6869' }] },
+      { type: 'InteropInterface', value: '' }
+    ]
+
+    it('parses without hints', () => {
+      parseVMStack(stack.slice(0, 3).concat(stack.slice(4))).should.eql(['RPX Token', 8, true, [1, 'hi'], ''])
+    })
+
+    it('parses Structs and Maps', () => {
+      const result = parseVMStack([
+        { type: 'Struct', value: [{ type: 'Boolean', value: false }] },
+        { type: 'Map', value: [{ key: { type: 'ByteArray', value: '6b' }, value: { type: 'Integer', value: '2' } }] }
+      ])
+      result.should.eql([[false], [{ key: 'k', value: 2 }]])
+    })
+
+    it('applies a hint to every item', () => {
+      parseVMStack(stack.slice(3, 4), 'fixed8').should.eql([1])
+      parseVMStack(stack.slice(0, 3), 'raw').should.eql(stack.slice(0, 3))
+    })
+
+    it('applies a hint per item and recurses into arrays', () => {
+      const result = parseVMStack(stack.slice(0, 5), ['string', 'hex', 'int', 'fixed8', ['boolean', 'hex']])
+      result.should.eql(['RPX Token', '08', 1, 1, [true, '6869']])
+    })
+
+    it('decodes signed integers', () => {
+      parseVMStack([
+        { type: 'ByteArray', value: 'ff' },
+        { type: 'ByteArray', value: '8000' },
+        { type: 'ByteArray', value: '' }
+      ], 'int').should.eql([-1, 128, 0])
+      parseVMStack([
+        { type: 'Integer', value: '-1' },
+        { type: 'Integer', value: '128' },
+        { type: 'Integer', value: '0' }
+      ], 'hex').should.eql(['ff', '8000', ''])
+    })
+
+    it('decodes booleans and hash160s', () => {
+      parseVMStack([
+        { type: 'ByteArray', value: '' },
+        { type: 'ByteArray', value: '01' },
+        { type: 'Integer', value: '0' }
+      ], 'boolean').should.eql([false, true, false])
+      parseVMStack([{ type: 'ByteArray', value: '35b20010db73bf86371075ddfba4e6596f1ff35d' }], 'hash160')
+        .should.eql(['5df31f6f59e6a4fbdd75103786bf73db1000b235'])
+    })
+
+    it('throws on unknown types', () => {
+      (() => parseVMStack([{ type: 'Pointer', value: '' }])).should.throw()
+    })
+  })
+
+  describe('waitForTransaction', function () {
+    const txid = 'f3a5b6f31fe8ab3f8ec8d1af7ad1f8ae2c4d84a6d1df3e51ee1e0bbe15d2e9d6'
+    const blockhash = '0x8b3d5f9f7c0f0e3fbe67ab7f1e6e7d6b4c2d0f2ad1c0e9f89da3bd2c6e8e2d4a'
+    let stub
+    afterEach(() => stub.restore())
+
+    it('polls until the transaction has enough confirmations', () => {
+      const answers = [null, 1, 2]
+      stub = stubHTTP({
+        rpc: (method, params) => {
+          if (method === 'getblock') return { result: { hash: params[0], index: 1200 } }
+          const confirmations = answers.shift()
+          return confirmations ? { result: { txid, blockhash, confirmations } } : { error: { code: -100, message: 'Unknown transaction' } }
+        }
+      })
+      return waitForTransaction('http://node', txid, { pollInterval: 1, confirmations: 2 }).then((result) => {
+        result.should.eql({ txid, blockIndex: 1200, confirmations: 2 })
+        stub.calls.map((call) => call.method).should.eql(['getrawtransaction', 'getrawtransaction', 'getrawtransaction', 'getblock'])
+        stub.calls[3].params.should.eql([blockhash, 1])
+      })
+    })
+
+    it('takes the block index from the block, not from the height of the chain', () => {
+      stub = stubHTTP({
+        rpc: (method) => {
+          if (method === 'getblock') return { result: { index: 1200 } }
+          if (method === 'getblockcount') return { result: 1500 }
+          return { result: { txid, blockhash, confirmations: 3 } }
+        }
+      })
+      return waitForTransaction('http://node', txid).then((result) => result.blockIndex.should.equal(1200))
+    })
+
+    it('retries when a request fails', () => {
+      let failures = 1
+      stub = stubHTTP({
+        rpc: (method) => {
+          if (method === 'getblock') return { result: { index: 1200 } }
+          if (failures-- > 0) throw new Error('socket hang up')
+          return { result: { txid, blockhash, confirmations: 1 } }
+        }
+      })
+      return waitForTransaction('http://node', txid, { pollInterval: 1 }).then((result) => {
+        result.should.eql({ txid, blockIndex: 1200, confirmations: 1 })
+        stub.calls.map((call) => call.method).should.eql(['getrawtransaction', 'getrawtransaction', 'getblock'])
+      })
+    })
+
+    it('times out with the last request error', () => {
+      stub = stubHTTP({ rpc: () => { throw new Error('socket hang up') } })
+      return waitForTransaction('http://node', txid, { timeout: 20, pollInterval: 5 })
+        .should.be.rejectedWith(`Timed out waiting for transaction ${txid}: socket hang up`)
+    })
+
+    it('times out', () => {
+      stub = stubHTTP({ rpc: () => ({ error: { code: -100, message: 'Unknown transaction' } }) })
+      return waitForTransaction('http://node', txid, { timeout: 20, pollInterval: 5 })
+        .should.be.rejectedWith(`Timed out waiting for transaction ${txid}`)
+        .then(() => stub.calls.length.should.be.within(1, 5))
+    })
+  })
+
+  describe('doSendTx', function () {
+    const transaction = {
+      type: 0x80,
+      version: 0,
+      attributes: [{ usage: 0x20, data: '5df31f6f59e6a4fbdd75103786bf73db1000b235' }, { usage: 0xf0, data: '6869' }],
+      inputs: [{ prevHash: '7d6a44d420f34eabf4f8aaae6e1e258b78f365322608490d5a7694b313d7e9b9', prevIndex: 1 }],
+      outputs: [],
+      scripts: [{ invocationScript: '40' + 'ab'.repeat(64), verificationScript: '21' + '02'.repeat(33) + 'ac' }]
+    }
+    let stub
+    afterEach(() => stub.restore())
+
+    it('returns the hash of a transaction with attributes', () => {
+      stub = stubHTTP({ rpc: () => ({ result: true }) })
+      const hex = serializeTransaction(transaction)
+      return Promise.all([doSendTx('http://node', hex), doSendTx('http://node', transaction)]).then((results) => {
+        results.forEach((result) => {
+          result.result.should.equal(true)
+          result.hash.should.equal(getTransactionHash(transaction))
+        })
+        stub.calls.should.eql([
+          { method: 'sendrawtransaction', params: [hex] },
+          { method: 'sendrawtransaction', params: [hex] }
+        ])
+      })
+    })
+
+    it('rejects malformed hex before sending it', () => {
+      stub = stubHTTP({ rpc: () => ({ result: true }) })
+      return doSendTx('http://node', '80000102').should.be.rejected
+        .then(() => stub.calls.should.eql([]))
+    })
+
+    it('leaves the hash off a transaction the node rejects', () => {
+      const error = { code: -32602, message: 'Invalid params' }
+      stub = stubHTTP({ rpc: () => ({ error }) })
+      return doSendTx('http://node', transaction).then((result) => {
+        result.error.should.eql(error)
+        ;(result.hash === undefined).should.equal(true)
+      })
+    })
+  })
+})
@@ -0,0 +1,422 @@
+import { reverseHex } from '../src/utils.js'
+import { buildScript } from '../src/sc/scriptBuilder.js'
+import {
+  Constants,
+  serializeDemand,
+  serializeTravel,
+  parseDemandHex,
+  parseTravelHex,
+  isDemandHex,
+  isTravelHex,
+  calculateInvokeGas,
+  createChainLineConfig,
+  STANDARD_ACCOUNT_CONFIG,
+  generateWalletScript,
+  getPublicKeyFromWalletScript,
+  makeCityPairHash,
+  getHubInterface,
+  getOwnerArgs,
+  hub,
+  getStats,
+  getObjectByKey,
+  getReservedGasBalance,
+  invokeHub,
+  openDemand,
+  openTravel,
+  setFundsPaidToRecipientTxHash
+} from '../src/chainline.js'
+import { getAccountFromPublicKey, getAccountFromWIFKey, createSignatureScript } from '../src/wallet.js'
+import {
+  ASSETS,
+  signTransaction,
+  deserializeTransaction,
+  getTransactionHash,
+  getReferences,
+  verifyTransaction
+} from '../src/transactions/index.js'
+import { InvokeFaultError } from '../src/errors.js'
+import createData from './transactions/createData.json'
+import { stubHTTP } from './stubs.js'
+
+describe('ChainLine', function () {
+  const owner = '5df31f6f59e6a4fbdd75103786bf73db1000b235'
+
+  describe('Demand', function () {
+    const demand = {
+      expiry: new Date(1514764800 * 1000),
+      itemValue: 12.5,
+      owner,
+      repRequired: 3,
+      itemSize: 2,
+      infoBlob: 'A parcel of books'
+    }
+
+    it('serializes to the expected size', () => {
+      const hex = serializeDemand(demand)
+      hex.should.have.length(Constants.DEMAND_SIZE * 2)
+      isDemandHex(hex).should.equal(true)
+    })
+
+    it('appends a timestamp', () => {
+      const hex = serializeDemand(demand, 1514678400)
+      hex.should.have.length((Constants.DEMAND_SIZE + Constants.TIMESTAMP_SIZE) * 2)
+      hex.substr(-8).should.equal('8028485a')
+    })
+
+    it('round trips through parseDemandHex', () => {
+      const parsed = parseDemandHex(serializeDemand(demand))
+      parsed.expiry.should.eql(demand.expiry)
+      parsed.itemValue.should.equal(demand.itemValue)
+      parsed.owner.should.equal(owner)
+      parsed.repRequired.should.equal(demand.repRequired)
+      parsed.itemSize.should.equal(demand.itemSize)
+      parsed.infoBlob.replace(/\0+$/, '').should.equal(demand.infoBlob)
+      serializeDemand(parsed).should.equal(serializeDemand(demand))
+    })
+
+    it('rounds the item value up to the next satoshi', () => {
+      parseDemandHex(serializeDemand(Object.assign({}, demand, { itemValue: 0.000000011 }))).itemValue.should.equal(0.00000002)
+    })
+
+    it('throws when the info blob is too large', () => {
+      const infoBlob = 'x'.repeat(Constants.INFO_BLOB_SIZE + 1)
+      ;(() => serializeDemand(Object.assign({}, demand, { infoBlob }))).should.throw(RangeError)
+    })
+  })
+
+  describe('Travel', function () {
+    const travel = {
+      expiry: 1514764800,
+      repRequired: 1,
+      carrySpace: 4,
+      owner
+    }
+
+    it('serializes to the expected size', () => {
+      const hex = serializeTravel(travel)
+      hex.should.have.length(Constants.TRAVEL_SIZE * 2)
+      isTravelHex(hex).should.equal(true)
+      isTravelHex(serializeTravel(travel, 1514678400)).should.equal(true)
+    })
+
+    it('round trips through parseTravelHex', () => {
+      const hex = serializeTravel(travel)
+      const parsed = parseTravelHex(hex)
+      parsed.expiry.should.eql(new Date(travel.expiry * 1000))
+      parsed.repRequired.should.equal(travel.repRequired)
+      parsed.carrySpace.should.equal(travel.carrySpace)
+      parsed.owner.should.equal(owner)
+      serializeTravel(parsed).should.equal(hex)
+    })
+
+    it('throws on an invalid owner', () => {
+      (() => serializeTravel(Object.assign({}, travel, { owner: 'abcd' }))).should.throw()
+    })
+  })
+
+  describe('calculateInvokeGas', function () {
+    it('is zero within the free allowance', () => {
+      calculateInvokeGas('0.5').should.equal(0)
+      calculateInvokeGas('10').should.equal(0)
+    })
+
+    it('rounds up and subtracts the free allowance', () => {
+      calculateInvokeGas('10.001').should.equal(1)
+      calculateInvokeGas('12.3').should.equal(3)
+      calculateInvokeGas(14).should.equal(4)
+    })
+  })
+
+  describe('hub', function () {
+    it('has a typed function for every ABI operation', () => {
+      hub.abi.hash.should.equal(Constants.HUB_SCRIPT_HASH)
+      hub.abi.functions.forEach(({ name }) => {
+        hub.invoke[name].should.be.a('function')
+        hub.testInvoke[name].should.be.a('function')
+      })
+    })
+
+    it('rejects invalid arguments before invoking', () => {
+      return hub.invoke.travel_open('TestNet', '', [owner, '02', 1, 0, 1, owner]).should.be.rejectedWith(TypeError, /publicKey/)
+    })
+
+    it('describes every hub operation', () => {
+      hub.abi.functions.map(({ name }) => name).should.eql([
+        'timestamp', 'storage_get',
+        'stats_getDemandsCount', 'stats_getRouteUsageCount', 'stats_getReservedFundsCount',
+        'stats_getUserReputationScore', 'wallet_getReservedGasBalance',
+        'demand_getTravelMatch', 'demand_getTravelMatchedAtTime', 'travel_getDemandMatch', 'travel_getDemandMatchedAtTime',
+        'demand_open', 'travel_open', 'wallet_setFundsPaidToRecipientTxHash'
+      ])
+      hub.abi.functions.filter(({ parameters }) => parameters[0] && parameters[0].name === 'owner' && parameters.length > 1)
+        .forEach(({ parameters }) => parameters.slice(0, 2).should.eql([
+          { name: 'owner', type: 'Hash160' }, { name: 'publicKey', type: 'PublicKey' }
+        ]))
+    })
+
+    describe('local invokes', function () {
+      const travelHex = serializeTravel({ expiry: 1514764800, repRequired: 1, carrySpace: 4, owner }, 1514678400)
+      let stub
+
+      beforeEach(() => {
+        stub = stubHTTP({
+          rpc: () => ({
+            result: {
+              state: 'HALT, BREAK',
+              gas_consumed: '0.5',
+              stack: [{ type: 'ByteArray', value: travelHex }, { type: 'ByteArray', value: '00e1f505' }]
+            }
+          })
+        })
+      })
+
+      afterEach(() => stub.restore())
+
+      it('invokes the hub locally and decodes hub objects', () => {
+        return hub.testInvoke.demand_getTravelMatch('TestNet', owner)
+          .then((travel) => {
+            travel.should.eql(parseTravelHex(travelHex))
+            stub.calls.should.eql([{
+              method: 'invokescript',
+              params: [buildScript({ scriptHash: Constants.HUB_SCRIPT_HASH, operation: 'demand_getTravelMatch', args: [owner] })]
+            }])
+          })
+      })
+
+      it('runs several operations in one invoke', () => {
+        return hub.testInvokeMany('TestNet', [['storage_get', [owner]], ['stats_getReservedFundsCount']])
+          .then(([object, funds]) => {
+            object.should.equal(travelHex)
+            funds.should.equal(1)
+            stub.calls.should.eql([{
+              method: 'invokescript',
+              params: [
+                buildScript({ scriptHash: Constants.HUB_SCRIPT_HASH, operation: 'storage_get', args: [owner] }) +
+                buildScript({ scriptHash: Constants.HUB_SCRIPT_HASH, operation: 'stats_getReservedFundsCount', args: [] })
+              ]
+            }])
+          })
+      })
+
+      it('invokes the hub of the config', () => {
+        const config = createChainLineConfig({ hubScriptHash: '0b0f2c4e6a37a0a1b5d3e3a5a4c5f2e1d0c9b8a7' })
+        return Promise.all([
+          getHubInterface(config).testInvoke.timestamp('TestNet'),
+          getHubInterface(config).invoke.timestamp('TestNet', 'L1QqQJnpBwbsPGAuutuzPTac8piqvbR1HRjrY5qHup48TBCBFe4g', [])
+        ]).then(([, res]) => {
+          res.should.eql({ result: true, gasConsumed: '0.5', success: true })
+          stub.calls.map(({ params }) => params[0]).should.eql([
+            buildScript({ scriptHash: config.hubScriptHash, operation: 'timestamp', args: [] }),
+            buildScript({ scriptHash: config.hubScriptHash, operation: 'timestamp', args: [] })
+          ])
+        })
+      })
+    })
+  })
+
+  describe('invokeHub', function () {
+    const wif = 'L1QqQJnpBwbsPGAuutuzPTac8piqvbR1HRjrY5qHup48TBCBFe4g'
+    const fault = { result: { state: 'FAULT, BREAK', gas_consumed: '0.1', stack: [] } }
+    let stub
+
+    afterEach(() => stub.restore())
+
+    it('resolves a faulted local invoke', () => {
+      stub = stubHTTP({ rpc: () => fault })
+      return invokeHub('MainNet', wif, 'timestamp').should.eventually.eql({ result: false })
+    })
+
+    it('rejects with the state of a faulted dry run instead of sending', () => {
+      stub = stubHTTP({ rpc: () => fault })
+      return Promise.all([
+        invokeHub('MainNet', wif, 'timestamp', [], { sendTx: true, dryRunFirst: true }),
+        invokeHub('MainNet', wif, 'timestamp', [], { sendTx: true, gas: 'auto' })
+      ].map((p) => p.then(() => { throw new Error('Expected a rejection') }, (err) => {
+        err.should.be.an.instanceof(InvokeFaultError)
+        err.message.should.match(/dry run of timestamp failed with state FAULT, BREAK/)
+        err.state.should.equal('FAULT, BREAK')
+      }))).then(() => {
+        stub.calls.map(({ method }) => method).should.eql(['invokescript', 'invokescript'])
+      })
+    })
+
+    describe('sending', function () {
+      const account = getAccountFromWIFKey(wif)
+      const balance = Object.assign({}, createData.balance, { address: account.address })
+      const halt = { result: { state: 'HALT, BREAK', gas_consumed: '10.5', stack: [{ type: 'Integer', value: '1' }] } }
+
+      beforeEach(() => {
+        stub = stubHTTP({
+          rpc: (method) => method === 'invokescript' ? halt : { result: true },
+          get: (url) => {
+            url.should.equal('http://api.wallet.cityofzion.io/v2/address/balance/' + account.address)
+            return balance
+          }
+        })
+      })
+
+      const getSent = () => {
+        const sent = stub.calls.filter(({ method }) => method === 'sendrawtransaction')
+        sent.should.have.length(1)
+        return deserializeTransaction(sent[0].params[0])
+      }
+
+      const checkSent = (res, operation, args, gas = 0) => {
+        const sent = getSent()
+        res.should.eql({ jsonrpc: '2.0', id: 4, result: true, hash: getTransactionHash(sent) })
+        sent.type.should.equal(0xd1)
+        sent.script.should.equal(buildScript({ scriptHash: Constants.HUB_SCRIPT_HASH, operation, args }))
+        sent.gas.should.equal(gas)
+        sent.outputs[0].should.eql({ assetId: ASSETS.GAS, value: 0.001, scriptHash: account.programHash })
+        verifyTransaction(sent, getReferences(balance)).valid.should.equal(true)
+      }
+
+      it('signs and sends the invocation', () => {
+        return invokeHub('MainNet', wif, 'timestamp', [], { sendTx: true })
+          .then((res) => {
+            stub.calls.map(({ method }) => method).should.eql(['sendrawtransaction'])
+            checkSent(res, 'timestamp', [])
+          })
+      })
+
+      it('attaches the GAS of the dry run with gas auto', () => {
+        return invokeHub('MainNet', wif, 'timestamp', [], { sendTx: true, gas: 'auto' })
+          .then((res) => {
+            stub.calls.map(({ method }) => method).should.eql(['invokescript', 'sendrawtransaction'])
+            checkSent(res, 'timestamp', [], 1)
+          })
+      })
+
+      it('opens a Demand', () => {
+        const demand = {
+          expiry: 1514764800,
+          repRequired: 3,
+          itemSize: 2,
+          itemValue: 12.5,
+          infoBlob: '6e656f',
+          pickUpCity: owner,
+          dropOffCity: owner
+        }
+        return openDemand('MainNet', wif, demand, true)
+          .then((res) => checkSent(res, 'demand_open', [
+            account.programHash, account.publicKeyEncoded, 1514764800, 3, 2, 1250000000, '6e656f', makeCityPairHash(owner, owner)
+          ]))
+      })
+
+      it('opens a Travel', () => {
+        const travel = { expiry: 1514764800, repRequired: 3, carrySpace: 2, pickUpCity: owner, dropOffCity: owner }
+        return openTravel('MainNet', wif, travel, true)
+          .then((res) => checkSent(res, 'travel_open', [
+            account.programHash, account.publicKeyEncoded, 1514764800, 3, 2, makeCityPairHash(owner, owner)
+          ]))
+      })
+
+      it('always sends setFundsPaidToRecipientTxHash', () => {
+        const txHash = createData.balance.GAS.unspent[0].txid
+        return setFundsPaidToRecipientTxHash('MainNet', wif, { recipientHash: owner, value: 100000000, txHash })
+          .then((res) => checkSent(res, 'wallet_setFundsPaidToRecipientTxHash', [
+            account.programHash, account.publicKeyEncoded, owner, 100000000, txHash
+          ]))
+      })
+    })
+  })
+
+  describe('local invokes', function () {
+    const wif = 'L1QqQJnpBwbsPGAuutuzPTac8piqvbR1HRjrY5qHup48TBCBFe4g'
+    let stub
+
+    afterEach(() => stub.restore())
+
+    const invokeResult = (state, stack) => ({ result: { state, gas_consumed: '0.1', stack } })
+
+    it('resolves empty results rather than reject when the invoke faults', () => {
+      stub = stubHTTP({ rpc: () => invokeResult('FAULT, BREAK', []) })
+      return Promise.all([getObjectByKey('TestNet', owner), getStats('TestNet')])
+        .then(([object, stats]) => {
+          object.should.equal(false)
+          stats.should.eql({ demands: 0, routes: 0, funds: 0 })
+        })
+    })
+
+    it('rejects with an InvokeFaultError from the typed functions', () => {
+      stub = stubHTTP({ rpc: () => invokeResult('FAULT, BREAK', []) })
+      return hub.testInvoke.storage_get('TestNet', owner).should.be.rejectedWith(InvokeFaultError, /FAULT/)
+    })
+
+    it('gets the reserved balance as a Fixed8 integer', () => {
+      stub = stubHTTP({ rpc: () => invokeResult('HALT, BREAK', [{ type: 'Integer', value: '150000001' }]) })
+      return getReservedGasBalance('TestNet', wif).should.eventually.eql({ reservedBalance: 150000001 })
+    })
+  })
+
+  describe('config', function () {
+    const publicKey = '031d8e1630ce640966967bc6d95223d21f44304133003140c3b52004dc981349c9'
+    const otherHub = '0b0f2c4e6a37a0a1b5d3e3a5a4c5f2e1d0c9b8a7'
+
+    it('defaults to the hub-1.1 contract', () => {
+      const config = createChainLineConfig()
+      config.hubScriptHash.should.equal(Constants.HUB_SCRIPT_HASH)
+      generateWalletScript(publicKey, config).should.equal(generateWalletScript(publicKey))
+    })
+
+    it('embeds the hub script hash in the wallet script', () => {
+      const config = createChainLineConfig({ hubScriptHash: '0x' + otherHub.toUpperCase() })
+      config.hubScriptHash.should.equal(otherHub)
+      generateWalletScript(publicKey, config).should.include('21' + publicKey)
+      generateWalletScript(publicKey, config).should.include(reverseHex(otherHub))
+      generateWalletScript(publicKey).should.include(reverseHex(Constants.HUB_SCRIPT_HASH))
+    })
+
+    it('derives a different address for another hub revision', () => {
+      const config = createChainLineConfig({ hubScriptHash: otherHub })
+      getAccountFromPublicKey(publicKey, undefined, config).address
+        .should.not.equal(getAccountFromPublicKey(publicKey).address)
+    })
+
+    it('recovers the public key of a wallet script of the same revision', () => {
+      const config = createChainLineConfig({ hubScriptHash: otherHub })
+      getPublicKeyFromWalletScript(generateWalletScript(publicKey)).should.equal(publicKey)
+      getPublicKeyFromWalletScript(generateWalletScript(publicKey, config), config).should.equal(publicKey)
+      ;(getPublicKeyFromWalletScript(generateWalletScript(publicKey, config)) === null).should.equal(true)
+      ;(getPublicKeyFromWalletScript(createSignatureScript(publicKey)) === null).should.equal(true)
+    })
+
+    it('hashes city pairs with the configured hub', () => {
+      const config = createChainLineConfig({ hubScriptHash: otherHub })
+      makeCityPairHash(owner, owner, config).should.not.equal(makeCityPairHash(owner, owner))
+    })
+
+    it('creates a hub interface for the configured hub', () => {
+      const config = createChainLineConfig({ hubScriptHash: otherHub })
+      getHubInterface(config).abi.hash.should.equal(otherHub)
+      getHubInterface(config).should.equal(getHubInterface(config))
+      getHubInterface().should.equal(hub)
+    })
+
+    it('derives the owner args from any key of the wallet', () => {
+      const wif = 'L1QqQJnpBwbsPGAuutuzPTac8piqvbR1HRjrY5qHup48TBCBFe4g'
+      const account = getAccountFromWIFKey(wif)
+      getOwnerArgs(wif).should.eql([account.programHash, account.publicKeyEncoded])
+      getOwnerArgs(account.publicKeyEncoded).should.eql(getOwnerArgs(wif))
+    })
+
+    it('derives standard NEO accounts', () => {
+      const account = getAccountFromWIFKey('L1QqQJnpBwbsPGAuutuzPTac8piqvbR1HRjrY5qHup48TBCBFe4g', STANDARD_ACCOUNT_CONFIG)
+      account.address.should.equal('ALq7AWrhAueN6mJNqk6FHJjnsEoPRytLdW')
+      getAccountFromPublicKey(account.publicKeyEncoded).address.should.not.equal(account.address)
+    })
+
+    it('signs with the verification script of the account kind', () => {
+      const account = getAccountFromWIFKey('L1QqQJnpBwbsPGAuutuzPTac8piqvbR1HRjrY5qHup48TBCBFe4g')
+      const unsignedTx = { type: 128, version: 0, attributes: [], inputs: [], outputs: [], scripts: [] }
+      signTransaction(unsignedTx, account.privateKey, undefined, STANDARD_ACCOUNT_CONFIG)
+        .scripts[0].verificationScript.should.equal(createSignatureScript(account.publicKeyEncoded))
+    })
+
+    it('rejects invalid configs', () => {
+      createChainLineConfig.bind(null, { hubScriptHash: 'abcd' }).should.throw(/hub script hash/)
+      createChainLineConfig.bind(null, { walletScriptTemplate: '00' }).should.throw(/placeholder/)
+      createChainLineConfig.bind(null, { accountKind: 'multisig' }).should.throw(/account kind/)
+    })
+  })
+})
@@ -0,0 +1,214 @@
+import { decodeHubNotification, getHubEvents, isHubInvocation, subscribeHubEvents, createMemoryCursor } from '../src/events.js'
+import { Constants, createChainLineConfig, serializeDemand, serializeTravel } from '../src/chainline.js'
+import { ab2hexstring, str2ab, reverseHex } from '../src/utils.js'
+import { stubHTTP } from './stubs.js'
+import applicationLog from './applicationLog.json'
+
+describe('Hub events', function () {
+  const owner = '5df31f6f59e6a4fbdd75103786bf73db1000b235'
+  const demandHex = serializeDemand({
+    expiry: 1514764800,
+    itemValue: 2,
+    owner,
+    repRequired: 1,
+    itemSize: 1,
+    infoBlob: 'keys'
+  })
+  const travelHex = serializeTravel({ expiry: 1514764800, repRequired: 0, carrySpace: 2, owner })
+  const notification = (name, args, contract = `0x${Constants.HUB_SCRIPT_HASH}`) => ({
+    contract,
+    state: {
+      type: 'Array',
+      value: [{ type: 'ByteArray', value: ab2hexstring(str2ab(name)) }].concat(args)
+    }
+  })
+
+  const config = createChainLineConfig({
+    hubEvents: {
+      demand_matched: [
+        { name: 'demand', type: 'Demand' },
+        { name: 'travel', type: 'Travel' },
+        { name: 'matchedAt', type: 'Integer' }
+      ]
+    }
+  })
+
+  it('decodes a notification with the layout of its event', () => {
+    const event = decodeHubNotification(notification('demand_matched', [
+      { type: 'ByteArray', value: demandHex },
+      { type: 'ByteArray', value: travelHex },
+      { type: 'Integer', value: '1514678400' }
+    ]), config)
+    event.type.should.equal('demand_matched')
+    event.demand.isDemand.should.equal(true)
+    event.demand.owner.should.equal(owner)
+    event.travel.isTravel.should.equal(true)
+    event.travel.carrySpace.should.equal(2)
+    event.matchedAt.should.equal(1514678400)
+  })
+
+  it('sets missing arguments to null', () => {
+    const event = decodeHubNotification(notification('demand_matched', [{ type: 'ByteArray', value: demandHex }]), config)
+    ;(event.travel === null).should.equal(true)
+    ;(event.matchedAt === null).should.equal(true)
+  })
+
+  it('passes through hub notifications without a layout', () => {
+    const args = [{ type: 'Integer', value: '1' }]
+    decodeHubNotification(notification('something_else', args), config).should.eql({ type: 'something_else', args })
+    decodeHubNotification(notification('demand_matched', args)).should.eql({ type: 'demand_matched', args })
+  })
+
+  it('ignores notifications from other contracts', () => {
+    const event = decodeHubNotification(notification('demand_opened', [], '0x5b7074e873973a6ed3708862f219a6fbf4d1c411'))
+    ;(event === null).should.equal(true)
+  })
+
+  describe('getHubEvents', function () {
+    const txid = applicationLog.result.txid
+    let stub
+    beforeEach(() => {
+      stub = stubHTTP({ rpc: () => applicationLog })
+    })
+    afterEach(() => stub.restore())
+
+    it('decodes the hub notifications of an application log', () => {
+      const config = createChainLineConfig({
+        hubEvents: { demand_opened: [{ name: 'demand', type: 'Demand' }, { name: 'itemValue', type: 'Fixed8' }] }
+      })
+      return getHubEvents('http://node', txid, config).then((events) => {
+        stub.calls.should.eql([{ method: 'getapplicationlog', params: [txid] }])
+        events.should.have.length(1)
+        events[0].type.should.equal('demand_opened')
+        events[0].demand.isDemand.should.equal(true)
+        events[0].demand.owner.should.equal(owner)
+        events[0].demand.itemValue.should.equal(2)
+        events[0].itemValue.should.equal(2)
+      })
+    })
+
+    it('keeps the hub notifications of events without a layout', () => {
+      return getHubEvents('http://node', txid).then((events) => {
+        events.should.eql([{
+          type: 'demand_opened',
+          args: applicationLog.result.executions[0].notifications[0].state.value.slice(1)
+        }])
+      })
+    })
+  })
+
+  it('detects invocations of the hub contract', () => {
+    const hubCall = `00c10974696d657374616d7067${reverseHex(Constants.HUB_SCRIPT_HASH)}`
+    isHubInvocation({ type: 'InvocationTransaction', script: hubCall }).should.equal(true)
+    isHubInvocation({ type: 'InvocationTransaction', script: '00c1046e616d65675f0e5a86edd8e1f62b68d2b3f7c0a761fc5a67dc' }).should.equal(false)
+    isHubInvocation({ type: 'ContractTransaction' }).should.equal(false)
+  })
+
+  describe('subscribeHubEvents', function () {
+    const hubCall = `00c10974696d657374616d7067${reverseHex(Constants.HUB_SCRIPT_HASH)}`
+    // block index => transactions, each with the names of the events it emits
+    const chain = {
+      10: [{ txid: 'a', events: ['first', 'second'] }],
+      11: [{ txid: 'b', events: [] }, { txid: 'c', events: ['third'], script: '00' }],
+      12: [{ txid: 'd', events: ['fourth', 'fifth'] }]
+    }
+    const rpc = (method, params) => {
+      if (method === 'getblockcount') return { result: 13 }
+      if (method === 'getblock') {
+        const tx = chain[params[0]].map(({ txid, script }) => ({ txid, type: 'InvocationTransaction', script: script || hubCall }))
+        return { result: { index: params[0], tx } }
+      }
+      const { events } = [].concat(...Object.keys(chain).map((index) => chain[index])).find(({ txid }) => txid === params[0])
+      return { result: { notifications: events.map((name) => notification(name, [])) } }
+    }
+    let stub
+    afterEach(() => stub.restore())
+
+    it('emits the events of hub invocations in order and advances the cursor', () => {
+      stub = stubHTTP({ rpc })
+      const emitted = []
+      const cursor = createMemoryCursor()
+      const subscription = subscribeHubEvents('http://node', {
+        fromBlock: 10,
+        cursor,
+        onEvent: (event, { txid, blockIndex }) => {
+          emitted.push([event.type, txid, blockIndex])
+          if (emitted.length === 4) subscription.stop()
+        }
+      })
+      return subscription.done.then(() => {
+        emitted.should.eql([['first', 'a', 10], ['second', 'a', 10], ['fourth', 'd', 12], ['fifth', 'd', 12]])
+        cursor.get().should.equal(13)
+      })
+    })
+
+    it('resumes from the cursor', () => {
+      stub = stubHTTP({ rpc })
+      const emitted = []
+      const subscription = subscribeHubEvents('http://node', {
+        fromBlock: 10,
+        cursor: createMemoryCursor(12),
+        onEvent: (event) => {
+          emitted.push(event.type)
+          if (emitted.length === 2) subscription.stop()
+        }
+      })
+      return subscription.done.then(() => emitted.should.eql(['fourth', 'fifth']))
+    })
+
+    it('does not emit events again when onEvent fails partway through a block', () => {
+      stub = stubHTTP({ rpc })
+      const emitted = []
+      const errors = []
+      let failed = false
+      const subscription = subscribeHubEvents('http://node', {
+        fromBlock: 12,
+        pollInterval: 1,
+        onEvent: (event) => {
+          if (event.type === 'fifth' && !failed) {
+            failed = true
+            throw new Error('database down')
+          }
+          emitted.push(event.type)
+          if (event.type === 'fifth') subscription.stop()
+        },
+        onError: (err) => errors.push(err.message)
+      })
+      return subscription.done.then(() => {
+        emitted.should.eql(['fourth', 'fifth'])
+        errors.should.eql(['database down'])
+      })
+    })
+
+    it('keeps scanning when onError throws', () => {
+      let calls = 0
+      stub = stubHTTP({
+        rpc: (method, params) => {
+          if (method === 'getblockcount') calls += 1
+          return rpc(method, params)
+        }
+      })
+      const subscription = subscribeHubEvents('http://node', {
+        fromBlock: 10,
+        pollInterval: 1,
+        cursor: { get: () => { throw new Error('no cursor') }, set: () => {} },
+        onEvent: () => {},
+        onError: () => {
+          if (calls > 2) subscription.stop()
+          throw new Error('handler failed')
+        }
+      })
+      return subscription.done.then(() => calls.should.equal(3))
+    })
+
+    it('stops without waiting for the next poll', function () {
+      this.timeout(1000)
+      stub = stubHTTP({ rpc })
+      const subscription = subscribeHubEvents('http://node', { onEvent: () => {}, pollInterval: 60000 })
+      return new Promise((resolve) => setTimeout(resolve, 20)).then(() => {
+        subscription.stop()
+        return subscription.done
+      }).then(() => subscription.stopped.should.equal(true))
+    })
+  })
+})
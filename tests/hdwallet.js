@@ -0,0 +1,78 @@
+import {
+  generateMnemonic,
+  validateMnemonic,
+  mnemonicToSeed,
+  getMasterKey,
+  derivePath,
+  parsePath,
+  getNeoPath,
+  getPrivateKeyFromMnemonic,
+  HARDENED_OFFSET
+} from '../src/hdwallet.js'
+import { getAccountFromPrivateKey } from '../src/wallet.js'
+
+describe('HD wallet', function () {
+  this.timeout(15000)
+
+  const mnemonic = 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about'
+
+  describe('mnemonics', function () {
+    it('generates valid mnemonics', () => {
+      const generated = generateMnemonic()
+      generated.split(' ').length.should.equal(12)
+      validateMnemonic(generated).should.equal(true)
+      generateMnemonic(256).split(' ').length.should.equal(24)
+    })
+
+    it('rejects invalid checksums and words', () => {
+      validateMnemonic(mnemonic.replace('about', 'abandon')).should.equal(false)
+      validateMnemonic(mnemonic.replace('about', 'neo')).should.equal(false)
+      mnemonicToSeed.bind(null, 'abandon').should.throw(/Invalid mnemonic/)
+    })
+
+    it('derives the BIP39 seed', () => {
+      mnemonicToSeed(mnemonic, 'TREZOR').should.equal('c55257c360c07c72029aebc1b53c05ed0362ada38ead3e3e9efa3708e53495531f09a6987599d18264c1e1c92f2cf141630c7a3c4ab7c81b2f001698e7463b04')
+    })
+  })
+
+  // SLIP-0010 test vector 1 for nist256p1
+  describe('SLIP-0010 derivation', function () {
+    const seed = '000102030405060708090a0b0c0d0e0f'
+
+    it('derives the master key', () => {
+      getMasterKey(seed).should.deep.equal({
+        privateKey: '612091aaa12e22dd2abef664f8a01a82cae99ad7441b7ef8110424915c268bc2',
+        chainCode: 'beeb672fe4621673f722f38529c07392fecaa61015c80c34f29ce8b41b3cb6ea'
+      })
+    })
+
+    it('derives hardened and normal children', () => {
+      derivePath(seed, "m/0'").should.deep.equal({
+        privateKey: '6939694369114c67917a182c59ddb8cafc3004e63ca5d3b84403ba8613debc0c',
+        chainCode: '3460cea53e6a6bb5fb391eeef3237ffd8724bf0a40e94943c98b83825342ee11'
+      })
+      derivePath(seed, "m/0'/1").should.deep.equal({
+        privateKey: '284e9d38d07d21e4e281b645089a94f4cf5a5a81369acf151a1c3a57f18b2129',
+        chainCode: '4187afff1aafa8445010097fb99d23aee9f599450c7bd140b6826ac22ba21d0c'
+      })
+    })
+  })
+
+  describe('paths', function () {
+    it('builds and parses NEO paths', () => {
+      getNeoPath().should.equal("m/44'/888'/0'/0/0")
+      getNeoPath(1, 5).should.equal("m/44'/888'/1'/0/5")
+      parsePath("m/44'/888'/0h/0/5").should.deep.equal([44 + HARDENED_OFFSET, 888 + HARDENED_OFFSET, HARDENED_OFFSET, 0, 5])
+      parsePath.bind(null, '44/888').should.throw(/Invalid derivation path/)
+      parsePath.bind(null, 'm/a').should.throw(/Invalid derivation path/)
+    })
+  })
+
+  it('derives distinct accounts from one mnemonic', () => {
+    const first = getPrivateKeyFromMnemonic(mnemonic)
+    const second = getPrivateKeyFromMnemonic(mnemonic, { index: 1 })
+    first.should.equal(derivePath(mnemonicToSeed(mnemonic), "m/44'/888'/0'/0/0").privateKey)
+    first.should.not.equal(second)
+    getAccountFromPrivateKey(first).address.should.not.equal(getAccountFromPrivateKey(second).address)
+  })
+})
@@ -0,0 +1,46 @@
+import Account from '../src/account.js'
+import { STANDARD_ACCOUNT_CONFIG } from '../src/chainline.js'
+import { getMessageHex, signMessage, verifySignature, verifyAddressSignature } from '../src/message.js'
+import { getPublicKey } from '../src/wallet.js'
+import { ab2hexstring } from '../src/utils.js'
+
+describe('Message', function () {
+  const courier = new Account('L1QqQJnpBwbsPGAuutuzPTac8piqvbR1HRjrY5qHup48TBCBFe4g')
+  const other = new Account('L2QTooFoDFyRFTxmtiVHt5CfsXfVnexdbENGDkkrrgTTryiLsPMG')
+  const message = 'Pickup of demand 42 at 2018-01-01T10:00:00Z ✓'
+
+  it('encodes the message with the prefix, length and suffix', () => {
+    getMessageHex('abc').should.equal('010001f003' + '616263' + '0000')
+    getMessageHex('✓').should.equal('010001f003' + 'e29c93' + '0000')
+    getMessageHex('a'.repeat(300)).substr(8, 6).should.equal('fd2c01')
+  })
+
+  it('verifies a signed message', () => {
+    const signature = signMessage(message, courier.privateKey)
+    signature.should.match(/^[0-9a-f]{128}$/)
+    verifySignature(message, signature, courier.publicKey).should.equal(true)
+    verifySignature(message, signature, ab2hexstring(getPublicKey(courier.privateKey, false))).should.equal(true)
+  })
+
+  it('rejects a tampered message, a wrong key or a malformed signature', () => {
+    const signature = signMessage(message, courier.privateKey)
+    verifySignature(message + '!', signature, courier.publicKey).should.equal(false)
+    verifySignature(message, signature, other.publicKey).should.equal(false)
+    verifySignature(message, signature.substr(2), courier.publicKey).should.equal(false)
+    verifySignature(message, signature, '02' + '00'.repeat(32)).should.equal(false)
+  })
+
+  it('verifies the owner of a Chain Line wallet', () => {
+    const signature = signMessage(message, courier.privateKey)
+    verifyAddressSignature(message, signature, courier.publicKey, courier.address).should.equal(true)
+    verifyAddressSignature(message, signature, courier.publicKey, other.address).should.equal(false)
+    verifyAddressSignature(message, signMessage(message, other.privateKey), other.publicKey, courier.address).should.equal(false)
+  })
+
+  it('verifies the owner of a standard account', () => {
+    const standard = new Account(courier.WIF, STANDARD_ACCOUNT_CONFIG)
+    const signature = signMessage(message, courier.privateKey)
+    verifyAddressSignature(message, signature, courier.publicKey, standard.address, STANDARD_ACCOUNT_CONFIG).should.equal(true)
+    verifyAddressSignature(message, signature, courier.publicKey, standard.address).should.equal(false)
+  })
+})
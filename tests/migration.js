@@ -0,0 +1,43 @@
+import chai from 'chai'
+import { createChainLineConfig, DEFAULT_CONFIG } from '../src/chainline.js'
+import { getMigrationAccounts, createMigrationTx } from '../src/migration.js'
+import { createChainLineWalletScript, getScriptHashFromAddress } from '../src/wallet.js'
+import { ASSETS } from '../src/transactions/index.js'
+import data from './transactions/createData.json'
+
+describe('Migration', function () {
+  const wif = 'L1QqQJnpBwbsPGAuutuzPTac8piqvbR1HRjrY5qHup48TBCBFe4g'
+  const oldConfig = createChainLineConfig({ hubScriptHash: '0b0f2c4e6a37a0a1b5d3e3a5a4c5f2e1d0c9b8a7' })
+
+  it('derives the old and new wallet accounts', () => {
+    const { from, to } = getMigrationAccounts(wif, oldConfig)
+    from.publicKey.should.equal(to.publicKey)
+    from.address.should.not.equal(to.address)
+    from.programHash.should.not.equal(to.programHash)
+  })
+
+  it('throws on an invalid WIF', () => {
+    getMigrationAccounts.bind(null, 'abc', oldConfig).should.throw(/Invalid WIF/)
+  })
+
+  it('sweeps all NEO and GAS to the new wallet', () => {
+    const { from, to } = getMigrationAccounts(wif, oldConfig)
+    const transaction = createMigrationTx(wif, data.balance, oldConfig)
+    const inputCount = data.balance.NEO.unspent.length + data.balance.GAS.unspent.length
+    transaction.type.should.equal(128)
+    transaction.inputs.length.should.equal(inputCount)
+    transaction.outputs.should.deep.equal([
+      { assetId: ASSETS.NEO, value: data.balance.NEO.balance, scriptHash: getScriptHashFromAddress(to.address) },
+      { assetId: ASSETS.GAS, value: data.balance.GAS.balance, scriptHash: getScriptHashFromAddress(to.address) }
+    ])
+    transaction.scripts.length.should.equal(1)
+    transaction.scripts[0].verificationScript.should.equal(createChainLineWalletScript(from.publicKey, oldConfig))
+    transaction.scripts[0].verificationScript.should.not.equal(createChainLineWalletScript(from.publicKey, DEFAULT_CONFIG))
+  })
+
+  it('returns null when there is nothing to sweep', () => {
+    const empty = { NEO: { balance: 0, unspent: [] }, GAS: { balance: 0, unspent: [] } }
+    const transaction = createMigrationTx(wif, empty, oldConfig)
+    chai.expect(transaction).to.equal(null)
+  })
+})
@@ -0,0 +1,96 @@
+import Account from '../src/account.js'
+import {
+  createMultiSigAccount,
+  createPartialTransaction,
+  addSignature,
+  importSignature,
+  mergePartialTransactions,
+  isPartialTransactionComplete,
+  serializePartialTransaction,
+  deserializePartialTransaction,
+  finalizePartialTransaction
+} from '../src/multisig.js'
+import { createMultiSigScript, parseMultiSigScript, signatureData } from '../src/wallet.js'
+import { ASSETS, deserializeTransaction, verifyTransaction } from '../src/transactions/index.js'
+
+describe('MultiSig', function () {
+  const signers = [
+    'L1QqQJnpBwbsPGAuutuzPTac8piqvbR1HRjrY5qHup48TBCBFe4g',
+    'L2QTooFoDFyRFTxmtiVHt5CfsXfVnexdbENGDkkrrgTTryiLsPMG',
+    'KyKvWLZsNwBJx5j9nurHYRwhYfdQUu9tTEDsLCUHDbYBL8cHxMiG'
+  ].map((wif) => new Account(wif))
+  const treasury = createMultiSigAccount(2, signers.map((signer) => signer.publicKey))
+  const prevHash = '7d6a44d420f34eabf4f8aaae6e1e258b78f365322608490d5a7694b313d7e9b9'
+  const tx = {
+    type: 128,
+    version: 0,
+    attributes: [],
+    inputs: [{ prevHash, prevIndex: 0 }],
+    outputs: [{ assetId: ASSETS.GAS, value: 10, scriptHash: signers[0].scriptHash }],
+    scripts: []
+  }
+  const references = { [`${prevHash}:0`]: treasury.scriptHash }
+
+  it('creates a multi-signature script with sorted keys', () => {
+    const publicKeys = [
+      '02028a99826edc0c97d18e22b6932373d908d323aa7f92656a77ec26e8861699ef',
+      '02232ce8d2e2063dce0451131851d47421bfc4fc1da4db116fca5302c0756462fa',
+      '031d8e1630ce640966967bc6d95223d21f44304133003140c3b52004dc981349c9'
+    ]
+    const script = createMultiSigScript(2, publicKeys)
+    script.should.equal('52' +
+      '21' + publicKeys[0] +
+      '21' + publicKeys[2] +
+      '21' + publicKeys[1] +
+      '53ae')
+    createMultiSigScript(2, publicKeys.slice().reverse()).should.equal(script)
+    parseMultiSigScript(script).should.eql({ threshold: 2, publicKeys: [publicKeys[0], publicKeys[2], publicKeys[1]] })
+  })
+
+  it('rejects invalid thresholds and keys', () => {
+    const keys = signers.map((signer) => signer.publicKey)
+    createMultiSigScript.bind(null, 0, keys).should.throw(RangeError)
+    createMultiSigScript.bind(null, 4, keys).should.throw(RangeError)
+    createMultiSigScript.bind(null, 1, [keys[0], keys[0]]).should.throw(/Duplicate/)
+    createMultiSigScript.bind(null, 1, ['04' + keys[0].substr(2)]).should.throw(/Invalid public key/)
+  })
+
+  it('derives the address of the script', () => {
+    treasury.address.should.match(/^A/)
+    treasury.address.should.not.equal(signers[0].address)
+    treasury.publicKeys.should.have.length(3)
+  })
+
+  it('collects signatures independently and finalizes them in script order', () => {
+    const first = addSignature(createPartialTransaction(tx, treasury.verificationScript), signers[2].privateKey)
+    const second = addSignature(createPartialTransaction(tx, treasury.verificationScript), signers[0].privateKey)
+    isPartialTransactionComplete(first).should.equal(false)
+    const merged = mergePartialTransactions(
+      deserializePartialTransaction(serializePartialTransaction(first)),
+      deserializePartialTransaction(serializePartialTransaction(second))
+    )
+    isPartialTransactionComplete(merged).should.equal(true)
+    const signed = deserializeTransaction(finalizePartialTransaction(merged))
+    const result = verifyTransaction(signed, references)
+    result.valid.should.equal(true)
+    result.witnesses[0].scriptHash.should.equal(treasury.scriptHash)
+  })
+
+  it('refuses to finalize below the threshold', () => {
+    const partial = addSignature(createPartialTransaction(tx, treasury.verificationScript), signers[1].privateKey)
+    finalizePartialTransaction.bind(null, partial).should.throw(/Expected 2 signatures but only found 1/)
+  })
+
+  it('rejects signatures of other keys or other transactions', () => {
+    const outsider = new Account('1'.repeat(64))
+    const partial = createPartialTransaction(tx, treasury.verificationScript)
+    addSignature.bind(null, partial, outsider.privateKey).should.throw(/is not a signer/)
+    const otherTx = Object.assign({}, tx, { outputs: [] })
+    const signature = signatureData(createPartialTransaction(otherTx, treasury.verificationScript).transaction, signers[0].privateKey)
+    importSignature.bind(null, partial, signers[0].publicKey, signature).should.throw(/Invalid signature/)
+  })
+
+  it('rejects a verification script that is not multi-signature', () => {
+    createPartialTransaction.bind(null, tx, '21' + signers[0].publicKey + 'ac').should.throw(/not a multi-signature script/)
+  })
+})
@@ -0,0 +1,45 @@
+import { encryptWIF, decryptWIF, DEFAULT_SCRYPT } from '../src/nep2.js'
+import { STANDARD_ACCOUNT_CONFIG } from '../src/chainline.js'
+
+describe('NEP-2', function () {
+  this.timeout(30000)
+
+  const wif = 'L1QqQJnpBwbsPGAuutuzPTac8piqvbR1HRjrY5qHup48TBCBFe4g'
+  const scrypt = { n: 256, r: 1, p: 1 }
+
+  it('encrypts and decrypts with custom scrypt parameters', () => {
+    return encryptWIF(wif, 'pass', scrypt)
+      .then((encrypted) => {
+        encrypted.should.match(/^6P/)
+        return decryptWIF(encrypted, 'pass', scrypt)
+      })
+      .then((decrypted) => decrypted.should.equal(wif))
+  })
+
+  it('rejects a key decrypted with other scrypt parameters', () => {
+    return encryptWIF(wif, 'pass', scrypt)
+      .then((encrypted) => decryptWIF(encrypted, 'pass', { n: 512, r: 1, p: 1 }))
+      .should.be.rejectedWith(/Wrong Password/)
+  })
+
+  it('reports progress until done', () => {
+    const progress = []
+    return encryptWIF(wif, 'pass', scrypt, (fraction) => progress.push(fraction))
+      .then(() => progress[progress.length - 1].should.equal(1))
+  })
+
+  it('encrypts and decrypts the vector of the NEP-2 specification', () => {
+    const nep2Wif = 'L44B5gGEpqEDRS9vVPz7QT35jcBG2r3CZwSwQ4fCewXAhAhqGVpP'
+    const encrypted = '6PYVPVe1fQznphjbUxXP9KZJqPMVnVwCx5s5pr5axRJ8uHkMtZg97eT5kL'
+    return encryptWIF(nep2Wif, 'TestingOneTwoThree', DEFAULT_SCRYPT, undefined, STANDARD_ACCOUNT_CONFIG)
+      .then((result) => {
+        result.should.equal(encrypted)
+        return decryptWIF(encrypted, 'TestingOneTwoThree', DEFAULT_SCRYPT, undefined, STANDARD_ACCOUNT_CONFIG)
+      })
+      .then((decrypted) => decrypted.should.equal(nep2Wif))
+  })
+
+  it('rejects invalid keys', () => {
+    return encryptWIF('abc', 'pass', scrypt).should.be.rejectedWith(/Invalid WIF/)
+  })
+})
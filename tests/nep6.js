@@ -0,0 +1,94 @@
+import { createWallet, readWallet, writeWallet, addAccount, getDefaultAccount, setDefaultAccount, decryptWallet } from '../src/nep6.js'
+import { STANDARD_ACCOUNT_CONFIG } from '../src/chainline.js'
+import { createChainLineWalletScript } from '../src/wallet.js'
+import Account from '../src/account.js'
+
+describe('NEP-6', function () {
+  this.timeout(30000)
+
+  const scrypt = { n: 256, r: 1, p: 1 }
+  const wifA = 'L1QqQJnpBwbsPGAuutuzPTac8piqvbR1HRjrY5qHup48TBCBFe4g'
+  const wifB = 'L2QTooFoDFyRFTxmtiVHt5CfsXfVnexdbENGDkkrrgTTryiLsPMG'
+  const accountA = new Account(wifA)
+
+  let wallet
+  before(() => {
+    wallet = createWallet({ name: 'test', scrypt })
+    return addAccount(wallet, wifA, 'pass', { label: 'a' })
+      .then(() => addAccount(wallet, wifB, 'pass', { label: 'b' }))
+  })
+
+  it('adds accounts with NEP-2 keys and Chain Line contracts', () => {
+    wallet.accounts.length.should.equal(2)
+    const [entry] = wallet.accounts
+    entry.address.should.equal(accountA.address)
+    entry.label.should.equal('a')
+    entry.key.should.match(/^6P/)
+    entry.contract.script.should.equal(createChainLineWalletScript(accountA.publicKey))
+    entry.contract.parameters.should.deep.equal([{ name: 'signature', type: 'Signature' }])
+  })
+
+  it('makes the first account the default one', () => {
+    getDefaultAccount(wallet).label.should.equal('a')
+    setDefaultAccount(wallet, wallet.accounts[1].address)
+    getDefaultAccount(wallet).label.should.equal('b')
+    wallet.accounts.filter((entry) => entry.isDefault).length.should.equal(1)
+    setDefaultAccount.bind(null, wallet, 'ALq7AWrhAueN6mJNqk6FHJjnsEoPRytLdW').should.throw(/does not hold/)
+  })
+
+  it('rejects duplicate accounts', () => {
+    return addAccount(wallet, wifA, 'pass').should.be.rejectedWith(/already holds/)
+  })
+
+  it('writes and reads wallets', () => {
+    const read = readWallet(writeWallet(wallet))
+    read.should.deep.equal(wallet)
+    read.scrypt.should.deep.equal(scrypt)
+  })
+
+  it('fills in optional fields and validates accounts', () => {
+    const read = readWallet({ accounts: [{ address: 'ALq7AWrhAueN6mJNqk6FHJjnsEoPRytLdW' }] })
+    read.version.should.equal('1.0')
+    read.scrypt.should.deep.equal({ n: 16384, r: 8, p: 8 })
+    read.accounts[0].should.include({ key: null, label: null, isDefault: false })
+    readWallet.bind(null, '{}').should.throw(/missing accounts/)
+    readWallet.bind(null, { accounts: [{ address: 'abc' }] }).should.throw(/invalid address/)
+  })
+
+  it('decrypts all accounts', () => {
+    return decryptWallet(readWallet(writeWallet(wallet)), 'pass')
+      .then((accounts) => {
+        accounts.map((account) => account.WIF).should.deep.equal([wifA, wifB])
+      })
+  })
+
+  it('rejects a wrong passphrase', () => {
+    return decryptWallet(wallet, 'wrong').should.be.rejectedWith(/Wrong Password/)
+  })
+
+  it('supports standard accounts', () => {
+    const standardWallet = createWallet({ scrypt })
+    return addAccount(standardWallet, wifA, 'pass', { config: STANDARD_ACCOUNT_CONFIG })
+      .then(() => {
+        standardWallet.accounts[0].address.should.equal('ALq7AWrhAueN6mJNqk6FHJjnsEoPRytLdW')
+        return decryptWallet(standardWallet, 'pass', STANDARD_ACCOUNT_CONFIG)
+      })
+      .then(([account]) => account.WIF.should.equal(wifA))
+  })
+
+  it('decrypts standard accounts of wallets written by other NEO wallets', () => {
+    const imported = new Account('L44B5gGEpqEDRS9vVPz7QT35jcBG2r3CZwSwQ4fCewXAhAhqGVpP', STANDARD_ACCOUNT_CONFIG)
+    const foreign = readWallet({
+      accounts: [{
+        address: 'AStZHy8E6StCqYQbzMqi4poH7YNDHQKxvt',
+        key: '6PYVPVe1fQznphjbUxXP9KZJqPMVnVwCx5s5pr5axRJ8uHkMtZg97eT5kL',
+        contract: { script: '21' + imported.publicKey + 'ac', parameters: [{ name: 'signature', type: 'Signature' }], deployed: false }
+      }]
+    })
+    return decryptWallet(foreign, 'TestingOneTwoThree')
+      .then(([account]) => {
+        account.WIF.should.equal(imported.WIF)
+        account.address.should.equal('AStZHy8E6StCqYQbzMqi4poH7YNDHQKxvt')
+      })
+  })
+})
@@ -0,0 +1,156 @@
+import Account from '../src/account.js'
+import {
+  createUnsignedTransaction,
+  writeUnsignedTransaction,
+  readUnsignedTransaction,
+  summarizeTransaction,
+  formatTransactionSummary,
+  signUnsignedTransaction,
+  addPreviousTransactions
+} from '../src/offline.js'
+import {
+  ASSETS,
+  create,
+  deserializeTransaction,
+  serializeTransaction,
+  getTransactionHash,
+  getReferences,
+  verifyTransaction
+} from '../src/transactions/index.js'
+import createData from './transactions/createData.json'
+import { stubHTTP } from './stubs.js'
+
+describe('Offline signing', function () {
+  const account = new Account('L1QqQJnpBwbsPGAuutuzPTac8piqvbR1HRjrY5qHup48TBCBFe4g')
+  const recipient = new Account('L2QTooFoDFyRFTxmtiVHt5CfsXfVnexdbENGDkkrrgTTryiLsPMG')
+  const balances = Object.assign({}, createData.balance, { address: account.address })
+  const intents = [
+    { assetId: ASSETS.NEO, value: 5, scriptHash: recipient.scriptHash },
+    { assetId: ASSETS.GAS, value: 1.5, scriptHash: recipient.scriptHash }
+  ]
+  const prepare = () => {
+    const watchOnly = new Account(account.publicKey)
+    const tx = create.invocation(watchOnly.publicKey, balances, intents, '00c1046e616d65', 1, { version: 1 })
+    return createUnsignedTransaction('TestNet', tx, balances, 'Pay the courier')
+  }
+
+  it('packs the unsigned transaction with the spent coins', () => {
+    const unsigned = prepare()
+    unsigned.address.should.equal(account.address)
+    unsigned.description.should.equal('Pay the courier')
+    const tx = deserializeTransaction(unsigned.transaction)
+    tx.scripts.should.eql([])
+    unsigned.inputs.should.have.length(tx.inputs.length)
+    unsigned.inputs.forEach((coin) => coin.value.should.be.above(0))
+  })
+
+  it('writes and reads unsigned transactions as JSON or hex', () => {
+    const unsigned = prepare()
+    readUnsignedTransaction(writeUnsignedTransaction(unsigned)).should.eql(unsigned)
+    const bare = readUnsignedTransaction(unsigned.transaction)
+    bare.transaction.should.equal(unsigned.transaction)
+    bare.inputs.should.eql([])
+    readUnsignedTransaction.bind(null, '{"inputs": []}').should.throw(/Invalid unsigned transaction/)
+  })
+
+  it('summarizes the outputs and fees', () => {
+    const summary = summarizeTransaction(prepare())
+    summary.type.should.equal('Invocation')
+    summary.from.should.equal(account.address)
+    summary.outputs.slice(0, 2).should.eql([
+      { address: recipient.address, asset: 'NEO', value: 5, change: false },
+      { address: recipient.address, asset: 'GAS', value: 1.5, change: false }
+    ])
+    summary.outputs.slice(2).forEach((output) => output.change.should.equal(true))
+    summary.fees.should.eql({ system: 1, network: 0, verified: false })
+    summary.script.should.equal('00c1046e616d65')
+    const text = formatTransactionSummary(summary)
+    text.should.include(`Send 5 NEO to ${recipient.address}`)
+    text.should.include('(change)')
+    text.should.include('System fee: 1 GAS')
+    text.should.include('Network fee: 0 GAS (unverified')
+  })
+
+  describe('with the previous transactions', function () {
+    const previous = {
+      type: 0x80,
+      version: 0,
+      attributes: [],
+      inputs: [{ prevHash: createData.balance.GAS.unspent[0].txid, prevIndex: 0 }],
+      outputs: [
+        { assetId: ASSETS.NEO, value: 10, scriptHash: account.scriptHash },
+        { assetId: ASSETS.GAS, value: 3, scriptHash: account.scriptHash }
+      ],
+      scripts: []
+    }
+    const previousHex = serializeTransaction(previous)
+    const txid = getTransactionHash(previous)
+    const spendable = {
+      address: account.address,
+      NEO: { balance: 10, unspent: [{ txid, index: 0, value: 10 }] },
+      GAS: { balance: 3, unspent: [{ txid, index: 1, value: 3 }] }
+    }
+    const prepareSpendable = () => {
+      const tx = create.contract(account.publicKey, spendable, intents)
+      return createUnsignedTransaction('TestNet', tx, spendable)
+    }
+    let stub
+    beforeEach(() => {
+      stub = stubHTTP({ rpc: () => ({ result: previousHex }) })
+    })
+    afterEach(() => stub.restore())
+
+    it('fetches each previous transaction once', () => {
+      return addPreviousTransactions(prepareSpendable()).then((unsigned) => {
+        unsigned.previousTransactions.should.eql([previousHex])
+        stub.calls.should.eql([{ method: 'getrawtransaction', params: [txid, 0] }])
+        readUnsignedTransaction(writeUnsignedTransaction(unsigned)).should.eql(unsigned)
+      })
+    })
+
+    it('verifies the fees against the previous transactions', () => {
+      return addPreviousTransactions(prepareSpendable()).then((unsigned) => {
+        // the reported values of the spent coins are ignored once they can be verified
+        unsigned.inputs.forEach((coin) => { coin.value = 0 })
+        const summary = summarizeTransaction(unsigned)
+        summary.fees.should.eql({ system: 0, network: 0, verified: true })
+        formatTransactionSummary(summary).should.not.include('unverified')
+      })
+    })
+
+    it('does not trust a previous transaction that does not match its hash', () => {
+      const forged = serializeTransaction(Object.assign({}, previous, {
+        outputs: previous.outputs.concat([{ assetId: ASSETS.GAS, value: 5, scriptHash: account.scriptHash }])
+      }))
+      const unsigned = Object.assign(prepareSpendable(), { previousTransactions: [forged] })
+      summarizeTransaction(unsigned).fees.verified.should.equal(false)
+    })
+  })
+
+  it('cannot review fees without the spent coins', () => {
+    const summary = summarizeTransaction(readUnsignedTransaction(prepare().transaction))
+    ;(summary.fees === null).should.equal(true)
+    formatTransactionSummary(summary).should.include('Fees: unknown')
+  })
+
+  it('summarizes claims', () => {
+    const tx = create.claim(account.publicKey, createData.claim)
+    const summary = summarizeTransaction(createUnsignedTransaction('TestNet', tx, { address: account.address }))
+    summary.claimed.should.equal(createData.claim.total_claim / 100000000)
+    summary.outputs[0].change.should.equal(true)
+    summary.fees.should.eql({ system: 0, network: 0, verified: true })
+  })
+
+  it('signs with nothing but the key', () => {
+    const unsigned = readUnsignedTransaction(writeUnsignedTransaction(prepare()))
+    return signUnsignedTransaction(unsigned, account.WIF).then((signedTx) => {
+      const signed = deserializeTransaction(signedTx)
+      signed.scripts.should.have.length(1)
+      verifyTransaction(signed, getReferences(balances)).valid.should.equal(true)
+    })
+  })
+
+  it('refuses to sign with the key of another address', () => {
+    return signUnsignedTransaction(prepare(), recipient.WIF).should.be.rejectedWith(/The key belongs to/)
+  })
+})
@@ -0,0 +1,85 @@
+import { encodeArgs, decodeReturn, createContractInterface } from '../../src/sc/abi.js'
+import { InvokeFaultError } from '../../src/errors.js'
+
+describe('ABI', function () {
+  const transfer = {
+    name: 'transfer',
+    parameters: [
+      { name: 'from', type: 'Hash160' },
+      { name: 'to', type: 'Hash160' },
+      { name: 'amount', type: 'Integer' }
+    ],
+    returnType: 'Boolean'
+  }
+  const from = '5df31f6f59e6a4fbdd75103786bf73db1000b235'
+  const to = 'cef0c0fdcfe7838eff6ff104f9cdec2922297537'
+
+  describe('encodeArgs', function () {
+    it('passes valid arguments through', () => {
+      encodeArgs(transfer, [from, to, 100]).should.eql([from, to, 100])
+    })
+
+    it('encodes strings as hex', () => {
+      const fn = { name: 'greet', parameters: [{ name: 'name', type: 'String' }], returnType: 'Void' }
+      encodeArgs(fn, ['neo']).should.eql(['6e656f'])
+    })
+
+    it('throws on the wrong number of arguments', () => {
+      (() => encodeArgs(transfer, [from, to])).should.throw(TypeError, /expects 3 arguments/)
+    })
+
+    it('throws on invalid arguments', () => {
+      (() => encodeArgs(transfer, [from, 'abc', 1])).should.throw(TypeError, /invalid to/)
+      ;(() => encodeArgs(transfer, [from, to, 1.5])).should.throw(TypeError, /invalid amount/)
+    })
+  })
+
+  describe('decodeReturn', function () {
+    it('decodes by return type', () => {
+      decodeReturn(transfer, { type: 'Integer', value: '1' }).should.equal(true)
+      decodeReturn({ returnType: 'Fixed8' }, { type: 'ByteArray', value: '00e1f505' }).should.equal(1)
+    })
+
+    it('uses custom decoders', () => {
+      const fn = { name: 'get', returnType: 'Upper' }
+      decodeReturn(fn, { type: 'ByteArray', value: 'abcd' }, { Upper: (hex) => hex.toUpperCase() }).should.equal('ABCD')
+    })
+  })
+
+  describe('createContractInterface', function () {
+    const abi = { hash: '5b7074e873973a6ed3708862f219a6fbf4d1c411', functions: [transfer] }
+
+    it('generates invoke functions that validate their args', () => {
+      const calls = []
+      const contract = createContractInterface(abi, {
+        invoke: (...args) => {
+          calls.push(args)
+          return Promise.resolve({ result: true })
+        }
+      })
+      return contract.invoke.transfer('TestNet', 'wif', [from, to, 1], { sendTx: true })
+        .then((res) => {
+          res.should.eql({ result: true })
+          calls.should.eql([['TestNet', 'wif', 'transfer', [from, to, 1], { sendTx: true }]])
+          return contract.invoke.transfer('TestNet', 'wif', [from, to]).should.be.rejectedWith(TypeError)
+        })
+    })
+
+    it('generates testInvoke functions', () => {
+      const contract = createContractInterface(abi, { invoke: () => {} })
+      contract.testInvoke.transfer.should.be.a('function')
+      return contract.testInvokeMany('TestNet', [['unknown']]).should.be.rejectedWith(/Unknown operation/)
+    })
+
+    it('rejects with the state of a faulted invoke', () => {
+      const contract = createContractInterface(abi, {
+        testInvoke: () => Promise.resolve({ state: 'FAULT, BREAK', stack: [] })
+      })
+      return contract.testInvoke.transfer('TestNet', from, to, 1)
+        .then(() => { throw new Error('Expected a rejection') }, (err) => {
+          err.should.be.an.instanceof(InvokeFaultError)
+          err.state.should.equal('FAULT, BREAK')
+        })
+    })
+  })
+})
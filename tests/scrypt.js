@@ -0,0 +1,46 @@
+import { scryptSync, scryptAsync } from '../src/scrypt.js'
+import { ab2hexstring } from '../src/utils.js'
+
+describe('scrypt', function () {
+  this.timeout(30000)
+
+  // RFC 7914 test vectors
+  const vectors = [
+    {
+      password: '',
+      salt: '',
+      params: { n: 16, r: 1, p: 1 },
+      key: '77d6576238657b203b19ca42c18a0497f16b4844e3074ae8dfdffa3fede21442fcd0069ded0948f8326a753a0fc81f17e8d3e0fb2e0d3628cf35e20c38d18906'
+    },
+    {
+      password: 'password',
+      salt: 'NaCl',
+      params: { n: 1024, r: 8, p: 16 },
+      key: 'fdbabe1c9d3472007856e7190d01e9fe7c6ad7cbc8237830e77376634b3731622eaf30d92e22a3886ff109279d9830dac727afb94a83ee6d8360cbdfa2cc0640'
+    }
+  ]
+
+  vectors.forEach(({ password, salt, params, key }) => {
+    it(`derives the RFC 7914 key for N=${params.n}, r=${params.r}, p=${params.p}`, () => {
+      const { n, r, p } = params
+      ab2hexstring(scryptSync(Buffer.from(password), Buffer.from(salt), n, r, p, 64)).should.equal(key)
+      return scryptAsync(Buffer.from(password), Buffer.from(salt), params, 64)
+        .then((derived) => ab2hexstring(derived).should.equal(key))
+    })
+  })
+
+  it('reports progress', () => {
+    const progress = []
+    scryptSync(Buffer.from('a'), Buffer.from('b'), 256, 1, 1, 32, (fraction) => progress.push(fraction))
+    progress.length.should.be.above(10)
+    progress.should.deep.equal(progress.slice().sort((a, b) => a - b))
+    progress[progress.length - 1].should.be.below(1)
+    const asyncProgress = []
+    return scryptAsync(Buffer.from('a'), Buffer.from('b'), { n: 256, r: 1, p: 1 }, 32, (fraction) => asyncProgress.push(fraction))
+      .then((key) => {
+        key.should.eql(Buffer.from(scryptSync(Buffer.from('a'), Buffer.from('b'), 256, 1, 1, 32)))
+        asyncProgress.length.should.be.above(10)
+        asyncProgress.should.deep.equal(progress.concat([1]))
+      })
+  })
+})
@@ -0,0 +1,79 @@
+import Account from '../src/account.js'
+import { createWIFSigner, isSigner, toSigner } from '../src/signer.js'
+import { signTransaction, signTransactionWith, getReferences, verifyTransaction, ASSETS } from '../src/transactions/index.js'
+import { createUnsignedTransaction, signUnsignedTransaction } from '../src/offline.js'
+import { signatureData, verifySignatureData } from '../src/wallet.js'
+import createData from './transactions/createData.json'
+
+describe('Signer', function () {
+  const account = new Account('L1QqQJnpBwbsPGAuutuzPTac8piqvbR1HRjrY5qHup48TBCBFe4g')
+  const balances = Object.assign({}, createData.balance, { address: account.address })
+  const createTx = () => ({
+    type: 128,
+    version: 0,
+    attributes: [],
+    inputs: [{ prevHash: balances.NEO.unspent[0].txid, prevIndex: balances.NEO.unspent[0].index }],
+    outputs: [{ assetId: ASSETS.NEO, value: balances.NEO.unspent[0].value, scriptHash: account.scriptHash }],
+    scripts: []
+  })
+
+  // stands in for a remote signing service, which never reveals its key
+  const remoteSigner = (privateKey) => {
+    const requests = []
+    return {
+      requests,
+      getPublicKey: () => Promise.resolve(account.publicKey),
+      sign: (data) => {
+        requests.push(data)
+        return Promise.resolve(signatureData(data, privateKey))
+      }
+    }
+  }
+
+  it('signs in memory with a WIF', () => {
+    const signer = createWIFSigner(account.WIF)
+    isSigner(signer).should.equal(true)
+    return Promise.all([signer.getPublicKey(), signer.sign('abcd')]).then(([publicKey, signature]) => {
+      publicKey.should.equal(account.publicKey)
+      verifySignatureData('abcd', signature, publicKey).should.equal(true)
+    })
+  })
+
+  it('wraps keys and passes signers through', () => {
+    const signer = remoteSigner(account.privateKey)
+    toSigner(signer).should.equal(signer)
+    isSigner(toSigner(account.WIF)).should.equal(true)
+    isSigner(account.WIF).should.equal(false)
+    isSigner(null).should.equal(false)
+  })
+
+  it('signs a transaction', () => {
+    const signer = remoteSigner(account.privateKey)
+    return signTransactionWith(createTx(), signer).then((signed) => {
+      signer.requests.should.have.length(1)
+      verifyTransaction(signed, getReferences(balances)).valid.should.equal(true)
+    })
+  })
+
+  it('keeps signing with a private key synchronous', () => {
+    const signed = signTransaction(createTx(), account.privateKey)
+    verifyTransaction(signed, getReferences(balances)).valid.should.equal(true)
+    ;(() => signTransaction(createTx(), remoteSigner(account.privateKey))).should.throw(TypeError, /signTransactionWith/)
+  })
+
+  it('signs with a key through the signer path', () => {
+    return signTransactionWith(createTx(), account.WIF)
+      .then((signed) => signed.should.eql(signTransaction(createTx(), account.privateKey)))
+  })
+
+  it('signs an unsigned transaction', () => {
+    const signer = remoteSigner(account.privateKey)
+    return signUnsignedTransaction(createUnsignedTransaction('TestNet', createTx(), balances), signer)
+      .then((signedTx) => signedTx.should.match(/^80/))
+  })
+
+  it('rejects invalid signatures', () => {
+    const signer = remoteSigner(new Account('1'.repeat(64)).privateKey)
+    return signTransactionWith(createTx(), signer).should.be.rejectedWith(/invalid signature/)
+  })
+})
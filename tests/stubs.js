@@ -0,0 +1,26 @@
+import axios from 'axios'
+
+/**
+ * Answers the HTTP requests of the library instead of the network, until restored.
+ * @param {{rpc: function(string, Array): Object, get: function(string): Object}} handlers - rpc gets the method and
+ *   params of each node RPC call and returns the response, with a result or an error. get returns the data of a GET
+ * @return {{calls: Array<{method: string, params: Array}>, restore: function()}} The RPC calls made so far
+ */
+export const stubHTTP = ({ rpc, get }) => {
+  const { create, get: axiosGet } = axios
+  const calls = []
+  axios.create = () => ({
+    post: (url, { method, params, id }) => Promise.resolve().then(() => {
+      calls.push({ method, params })
+      return { data: Object.assign({ jsonrpc: '2.0', id }, rpc(method, params)) }
+    })
+  })
+  axios.get = (url) => Promise.resolve().then(() => ({ data: get(url) }))
+  return {
+    calls,
+    restore: () => {
+      axios.create = create
+      axios.get = axiosGet
+    }
+  }
+}
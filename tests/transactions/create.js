@@ -1,5 +1,7 @@
-import { create } from '../../src/transactions/index.js'
+import { create, serializeTransaction, deserializeTransaction } from '../../src/transactions/index.js'
 import { getHash, createSignatureScript } from '../../src/wallet.js'
+import { STANDARD_ACCOUNT_CONFIG } from '../../src/chainline.js'
+import { reverseHex } from '../../src/utils.js'
 import data from './createData.json'
 
 describe('Create Transactions', function () {
@@ -31,6 +33,12 @@ describe('Create Transactions', function () {
     tx.outputs.length.should.equal(4)
   })
 
+  it('sends change to the account kind of the config', () => {
+    const tx = create.contract(publicKey, data.balance, intents, {}, STANDARD_ACCOUNT_CONFIG)
+    const standardScriptHash = reverseHex(getHash(createSignatureScript(publicKey)))
+    tx.outputs.slice(intents.length).forEach((change) => change.scriptHash.should.equal(standardScriptHash))
+  })
+
   const moreIntents = intents.concat([{
     assetId: 'c56f33fc6ecfcd0c225c4ab356fee59390af8560be0e930faebe74a6daff7c9b',
     value: 500,
@@ -64,4 +72,38 @@ describe('Create Transactions', function () {
     tx.inputs.length.should.equal(2)
     tx.outputs.length.should.equal(2)
   })
+
+  it('create issueTransaction', () => {
+    const issued = [{
+      assetId: 'a0777c3ce2b169d4a23bcba4565e3225a0122d95ad8dc0d2bc6b7bb2a8a1c5b6',
+      value: 1000,
+      scriptHash: intents[0].scriptHash
+    }]
+    const free = create.issue(publicKey, data.balance, issued)
+    free.type.should.equal(1)
+    free.inputs.should.eql([])
+    free.outputs.should.eql(issued)
+    const paid = create.issue(publicKey, data.balance, issued, 10)
+    paid.inputs.length.should.be.above(0)
+    paid.outputs.slice(1).forEach((change) => change.assetId.should.equal(intents[1].assetId))
+    deserializeTransaction(serializeTransaction(paid, false)).should.eql(Object.assign({}, paid, { scripts: [] }))
+  })
+
+  it('create stateTransaction', () => {
+    const candidates = [
+      '031d8e1630ce640966967bc6d95223d21f44304133003140c3b52004dc981349c9',
+      '02232ce8d2e2063dce0451131851d47421bfc4fc1da4db116fca5302c0756462fa'
+    ]
+    const tx = create.state(publicKey, candidates, {}, STANDARD_ACCOUNT_CONFIG)
+    tx.type.should.equal(0x90)
+    tx.descriptors.should.eql([{
+      type: 0x40,
+      key: getHash(createSignatureScript(publicKey)).toString(),
+      field: 'Votes',
+      value: '02' + candidates.join('')
+    }])
+    deserializeTransaction(serializeTransaction(tx)).should.eql(tx)
+    create.state(publicKey, []).descriptors[0].value.should.equal('00')
+    create.state.bind(null, publicKey, ['04' + candidates[0].substr(2)]).should.throw(/Invalid public key/)
+  })
 })
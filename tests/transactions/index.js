@@ -1,5 +1,19 @@
-import { serializeTransaction, deserializeTransaction, getTransactionHash } from '../../src/transactions/index.js'
+import {
+  ASSETS,
+  create,
+  serializeTransaction,
+  deserializeTransaction,
+  getTransactionHash,
+  signTransaction,
+  getReferences,
+  verifyTransaction
+} from '../../src/transactions/index.js'
+import Account from '../../src/account.js'
+import { STANDARD_ACCOUNT_CONFIG } from '../../src/chainline.js'
+import { getHash } from '../../src/wallet.js'
+import { reverseHex } from '../../src/utils.js'
 import data from './data.json'
+import createData from './createData.json'
 
 describe('Transactions', function () {
   it('serialize', () => {
@@ -26,3 +40,208 @@ describe('Transactions', function () {
     })
   })
 })
+
+describe('verifyTransaction', function () {
+  const account = new Account('L1QqQJnpBwbsPGAuutuzPTac8piqvbR1HRjrY5qHup48TBCBFe4g')
+  const other = new Account('L2QTooFoDFyRFTxmtiVHt5CfsXfVnexdbENGDkkrrgTTryiLsPMG')
+  const intents = [{ assetId: ASSETS.NEO, value: 1, scriptHash: other.scriptHash }]
+  const balanceOf = (address) => Object.assign({}, createData.balance, { address })
+  const createSigned = (signer, config) => {
+    const tx = create.contract(signer.publicKey, balanceOf(signer.address), intents, {}, config)
+    return signTransaction(tx, signer.privateKey, undefined, config)
+  }
+
+  it('accepts a transaction signed by a Chain Line wallet', () => {
+    const result = verifyTransaction(createSigned(account), getReferences(balanceOf(account.address)))
+    result.valid.should.equal(true)
+    result.witnesses.should.have.length(1)
+    result.witnesses[0].scriptHash.should.equal(account.scriptHash)
+    result.witnesses[0].publicKeys.should.eql([account.publicKey])
+    result.uncovered.should.eql([])
+    result.unresolved.should.eql([])
+  })
+
+  it('accepts a transaction signed by a standard account', () => {
+    const standard = new Account(account.WIF, STANDARD_ACCOUNT_CONFIG)
+    const tx = createSigned(standard, STANDARD_ACCOUNT_CONFIG)
+    verifyTransaction(tx, getReferences(balanceOf(standard.address))).valid.should.equal(true)
+  })
+
+  it('rejects a transaction changed after signing', () => {
+    const tx = createSigned(account)
+    tx.outputs[0].value = 2
+    const result = verifyTransaction(tx, getReferences(balanceOf(account.address)))
+    result.valid.should.equal(false)
+    result.witnesses[0].error.should.equal('Invalid signature')
+  })
+
+  it('requires the voter to sign a vote', () => {
+    const vote = create.state(account.publicKey, [other.publicKey])
+    verifyTransaction(vote).uncovered.should.eql([account.scriptHash])
+    verifyTransaction(signTransaction(vote, account.privateKey)).valid.should.equal(true)
+  })
+
+  it('reports inputs without a witness', () => {
+    const tx = createSigned(other)
+    const result = verifyTransaction(tx, getReferences(balanceOf(account.address)))
+    result.valid.should.equal(false)
+    result.witnesses[0].valid.should.equal(true)
+    result.uncovered.should.eql([account.scriptHash])
+  })
+
+  it('reports inputs missing from the references', () => {
+    const tx = createSigned(account)
+    const result = verifyTransaction(tx)
+    result.valid.should.equal(false)
+    result.unresolved.should.eql(tx.inputs)
+  })
+
+  it('rejects unknown verification scripts and malformed invocation scripts', () => {
+    const tx = createSigned(account)
+    tx.scripts.push({ invocationScript: '40' + '00'.repeat(64), verificationScript: '51' })
+    tx.scripts.push({ invocationScript: 'ff', verificationScript: tx.scripts[0].verificationScript })
+    const result = verifyTransaction(tx, getReferences(balanceOf(account.address)))
+    result.valid.should.equal(false)
+    result.witnesses[1].error.should.equal('Unknown verification script')
+    result.witnesses[2].error.should.match(/Unsupported opcode ff/)
+  })
+})
+
+describe('Transaction round trip', function () {
+  // mulberry32, seeded so that a failing case can be reproduced
+  const createRandom = (seed) => () => {
+    seed = (seed + 0x6d2b79f5) | 0
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed)
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+  const random = createRandom(20180101)
+  const int = (max) => Math.floor(random() * (max + 1))
+  const pick = (items) => items[int(items.length - 1)]
+  const bytes = (size) => Array.from({ length: size }, () => ('0' + int(255).toString(16)).substr(-2)).join('')
+  const list = (max, generate) => Array.from({ length: int(max) }, generate)
+  const fixed8 = () => int(2147483647) * 1000 / 100000000
+
+  const usages = [0x00, 0x02, 0x03, 0x20, 0x30, 0x81, 0x90]
+    .concat(Array.from({ length: 15 }, (_, i) => 0xa1 + i))
+    .concat(Array.from({ length: 16 }, (_, i) => 0xf0 + i))
+  const attribute = () => {
+    const usage = pick(usages)
+    if (usage === 0x02 || usage === 0x03) return { usage, data: ('0' + usage) + bytes(32) }
+    if (usage === 0x20) return { usage, data: bytes(20) }
+    if (usage === 0x81) return { usage, data: bytes(int(255)) }
+    if (usage === 0x90 || usage >= 0xf0) return { usage, data: bytes(int(300)) }
+    return { usage, data: bytes(32) }
+  }
+  const input = () => ({ prevHash: bytes(32), prevIndex: int(65535) })
+  const output = () => ({ assetId: bytes(32), value: fixed8(), scriptHash: bytes(20) })
+  const witness = () => ({ invocationScript: bytes(int(1) * 64), verificationScript: bytes(int(300)) })
+  const text = () => list(40, () => pick(['a', 'Z', '0', ' ', '"', 'ß', '€', '小'])).join('')
+  const publicKey = () => pick(['02', '03']) + bytes(32)
+  const descriptor = () => ({ type: pick([0x40, 0x48]), key: bytes(int(33)), field: text(), value: bytes(int(300)) })
+  const exclusive = {
+    0: () => ({ version: 0, nonce: int(4294967295) }),
+    1: () => ({ version: int(1) }),
+    2: () => ({ version: 0, claims: list(3, input) }),
+    32: () => ({ version: 0, publicKey: publicKey() }),
+    64: () => ({
+      version: 0,
+      assetType: pick([0x00, 0x01, 0x08, 0x40, 0x60, 0x80, 0x90]),
+      name: text(),
+      amount: pick([fixed8(), -0.00000001]),
+      precision: int(8),
+      owner: pick(['00', publicKey()]),
+      admin: bytes(20)
+    }),
+    128: () => ({ version: 0 }),
+    144: () => ({ version: 0, descriptors: list(3, descriptor) }),
+    208: () => {
+      const version = int(1)
+      return {
+        version,
+        script: bytes(1 + int(300)),
+        parameterList: bytes(int(16)),
+        returnType: int(255),
+        needStorage: version ? pick([true, false]) : false,
+        name: text(),
+        codeVersion: text(),
+        author: text(),
+        email: text(),
+        description: text()
+      }
+    },
+    209: () => {
+      const version = int(1)
+      return { version, script: bytes(1 + int(300)), gas: version ? fixed8() : 0 }
+    }
+  }
+  const transaction = () => {
+    const type = pick([0, 1, 2, 32, 64, 128, 144, 208, 209])
+    return Object.assign({
+      type,
+      attributes: list(4, attribute),
+      inputs: list(3, input),
+      outputs: list(3, output),
+      scripts: list(2, witness)
+    }, exclusive[type]())
+  }
+
+  it('deserializes what it serializes', () => {
+    for (let i = 0; i < 300; i++) {
+      const tx = transaction()
+      const hex = serializeTransaction(tx)
+      deserializeTransaction(hex).should.eql(tx)
+      serializeTransaction(deserializeTransaction(hex)).should.equal(hex)
+      serializeTransaction(deserializeTransaction(serializeTransaction(tx, false)), false)
+        .should.equal(serializeTransaction(tx, false))
+    }
+  })
+
+  it('hashes the transactions of the genesis block', () => {
+    const empty = { version: 0, attributes: [], inputs: [], outputs: [], scripts: [] }
+    const neo = Object.assign({
+      type: 0x40,
+      assetType: 0x00,
+      name: '[{"lang":"zh-CN","name":"小蚁股"},{"lang":"en","name":"AntShare"}]',
+      amount: 100000000,
+      precision: 0,
+      owner: '00',
+      admin: reverseHex(getHash('51').toString())
+    }, empty)
+    const gas = Object.assign({}, neo, {
+      assetType: 0x01,
+      name: '[{"lang":"zh-CN","name":"小蚁币"},{"lang":"en","name":"AntCoin"}]',
+      precision: 8,
+      admin: reverseHex(getHash('00').toString())
+    })
+    getTransactionHash(Object.assign({ type: 0x00, nonce: 2083236893 }, empty))
+      .should.equal('fb5bd72b2d6792d75dc2f1084ffa9e9f70ca85543c717a6b13d9959b452a57d6')
+    getTransactionHash(neo).should.equal(ASSETS.NEO)
+    deserializeTransaction(serializeTransaction(neo)).should.eql(neo)
+    getTransactionHash(gas).should.equal(ASSETS.GAS)
+  })
+
+  it('reads attributes into the attributes', () => {
+    const tx = deserializeTransaction(data['1'].serialized.stream.replace(/^800000/, '800001f103616263'))
+    tx.attributes.should.eql([{ usage: 0xf1, data: '616263' }])
+    tx.inputs.should.eql(data['1'].deserialized.inputs)
+  })
+
+  it('reads the version of invocations from the transaction', () => {
+    const v0 = { type: 0xd1, version: 0, script: '00', gas: 0, attributes: [], inputs: [], outputs: [], scripts: [] }
+    const v1 = Object.assign({}, v0, { version: 1, gas: 2.5 })
+    deserializeTransaction(serializeTransaction(v0)).should.eql(v0)
+    deserializeTransaction(serializeTransaction(v1)).should.eql(v1)
+    deserializeTransaction.bind(null, 'd102' + serializeTransaction(v1).substr(4)).should.throw(/version 2 at offset 1/)
+  })
+
+  it('names the offset of malformed data', () => {
+    const hex = data['1'].serialized.stream
+    deserializeTransaction.bind(null, '800001050000').should.throw(/Unknown attribute usage 0x05 at offset 3/)
+    deserializeTransaction.bind(null, hex.substr(0, 20)).should.throw(/Unexpected end of data at offset 4/)
+    deserializeTransaction.bind(null, hex + '00').should.throw(new RegExp(`Unexpected data at offset ${hex.length / 2}`))
+    deserializeTransaction.bind(null, 'b000').should.throw(/Unsupported transaction type 0xb0 at offset 0/)
+    deserializeTransaction.bind(null, '2000050000').should.throw(/Invalid ECPoint prefix 0x05 at offset 2/)
+    deserializeTransaction.bind(null, '900001070000').should.throw(/Unknown state descriptor type 0x07 at offset 3/)
+  })
+})